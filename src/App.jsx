@@ -1,18 +1,144 @@
+import { useEffect, useState } from "react";
+
+import ChallengeSettings from "./components/ChallengeSettings.jsx";
+import Challenges from "./components/Challenges.jsx";
+import DailyChallenge from "./components/DailyChallenge.jsx";
+import DataSettings from "./components/DataSettings.jsx";
+import Header from "./components/Header.jsx";
+import HeadToHead from "./components/HeadToHead.jsx";
+import Juggle from "./components/Juggle.jsx";
+import Leaderboard from "./components/Leaderboard.jsx";
+import MainNavigation from "./components/MainNavigation.jsx";
 import Player from "./components/Player.jsx";
-import TimerChallenge from "./components/TimerChallenge.jsx";
+import PreferenceSettings from "./components/PreferenceSettings.jsx";
+import SharedResult from "./components/SharedResult.jsx";
+import StatsDashboard from "./components/StatsDashboard.jsx";
+import Tournament from "./components/Tournament.jsx";
+import UpdatePrompt from "./components/UpdatePrompt.jsx";
+import useReducedMotion from "./hooks/useReducedMotion.js";
+import useTheme from "./hooks/useTheme.js";
+import ChallengeCatalogContextProvider from "./store/challenge-catalog-context.jsx";
+import CueContextProvider from "./store/cue-context.jsx";
+import GameHistoryContextProvider from "./store/game-history-context.jsx";
+import ModalContextProvider from "./store/modal-context.jsx";
+import PlayerContextProvider from "./store/player-context.jsx";
+import SettingsContextProvider from "./store/settings-context.jsx";
+import TimerCoordinatorContextProvider from "./store/timer-coordinator-context.jsx";
+import { clearShareHash, parseShareHash } from "./util/share.js";
+import { requestPersistentStorage } from "./util/storage.js";
+
+const VIEWS = [
+    { id: "play", label: "Play" },
+    { id: "tournament", label: "Tournament" },
+    { id: "juggle", label: "Juggle" },
+    { id: "stats", label: "Statistics" },
+    { id: "settings", label: "Settings" },
+];
+
+function Game() {
+    const [currentView, setCurrentView] = useState("play");
+    const reduceMotion = useReducedMotion();
+    const theme = useTheme();
+
+    // A shared result link (#share=...) shows the shared result instead of the normal views
+    const [sharedResult, setSharedResult] = useState(() => parseShareHash(window.location.hash));
+
+    // Opening another share link while the app is already open only changes the hash, it doesn't reload the page
+    useEffect(() => {
+        const handleHashChange = () => setSharedResult(parseShareHash(window.location.hash));
+        window.addEventListener("hashchange", handleHashChange);
+
+        return () => window.removeEventListener("hashchange", handleHashChange);
+    }, []);
+
+    const handleLeaveSharedResult = () => {
+        clearShareHash();
+        setSharedResult(null);
+        setCurrentView("play");
+    };
+
+    // The dialogs are rendered into #modal (outside of #root), so the class goes onto the <html> element
+    useEffect(() => {
+        document.documentElement.classList.toggle("reduced-motion", reduceMotion);
+    }, [reduceMotion]);
+
+    // The themes are sets of CSS custom properties that are switched with this attribute (see index.css)
+    useEffect(() => {
+        document.documentElement.dataset.theme = theme;
+    }, [theme]);
+
+    if (sharedResult) {
+        return (
+            <>
+                <Header />
+                {/* The key starts a fresh card (and challenge) when a different link is opened */}
+                <SharedResult key={window.location.hash} result={sharedResult} onLeave={handleLeaveSharedResult} />
+            </>
+        );
+    }
 
-function App() {
     return (
         <>
-            <Player />
-            <div id="challenges">
-                <TimerChallenge title="Easy" targetTime={1} />
-                <TimerChallenge title="Not easy" targetTime={5} />
-                <TimerChallenge title="Getting tough" targetTime={10} />
-                <TimerChallenge title="Pros only" targetTime={15} />
-            </div>
+            <Header />
+            <MainNavigation views={VIEWS} currentView={currentView} onSelectView={setCurrentView} />
+            {currentView === "play" && (
+                <>
+                    <Player />
+                    <DailyChallenge />
+                    <Challenges />
+                    <Leaderboard />
+                    <HeadToHead />
+                </>
+            )}
+            {currentView === "tournament" && (
+                <>
+                    <Player />
+                    <Tournament />
+                </>
+            )}
+            {currentView === "juggle" && (
+                <>
+                    <Player />
+                    <Juggle />
+                </>
+            )}
+            {currentView === "stats" && <StatsDashboard />}
+            {currentView === "settings" && (
+                <>
+                    <PreferenceSettings />
+                    <ChallengeSettings />
+                    <DataSettings />
+                </>
+            )}
         </>
     );
 }
 
+function App() {
+    // The scores, players and challenges only live in the browser's storage, so we ask the browser to keep it
+    useEffect(() => {
+        requestPersistentStorage();
+    }, []);
+
+    return (
+        <SettingsContextProvider>
+            <CueContextProvider>
+                <PlayerContextProvider>
+                    <GameHistoryContextProvider>
+                        <ChallengeCatalogContextProvider>
+                            {/* Innermost, so the content of a dialog can use all of the other contexts */}
+                            <ModalContextProvider>
+                                <TimerCoordinatorContextProvider>
+                                    <UpdatePrompt />
+                                    <Game />
+                                </TimerCoordinatorContextProvider>
+                            </ModalContextProvider>
+                        </ChallengeCatalogContextProvider>
+                    </GameHistoryContextProvider>
+                </PlayerContextProvider>
+            </CueContextProvider>
+        </SettingsContextProvider>
+    );
+}
+
 export default App;
@@ -0,0 +1,14 @@
+import { getAvatarColor, getInitials } from "../util/players.js";
+
+// A generated avatar: the initials of the player on a color derived from their id (nobody has to upload a picture)
+export default function Avatar({ player }) {
+    // Without a player (nobody joined the roster yet) we show a neutral placeholder
+    const style = player ? { backgroundColor: getAvatarColor(player.id) } : undefined;
+
+    return (
+        // The name is always shown next to the avatar, so screen readers can skip it
+        <span className={player ? "avatar" : "avatar avatar-placeholder"} style={style} aria-hidden="true">
+            {player ? getInitials(player.name) : "?"}
+        </span>
+    );
+}
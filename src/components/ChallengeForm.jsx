@@ -0,0 +1,82 @@
+import { useState } from "react";
+
+import { MAX_TARGET_TIME, MAX_TITLE_LENGTH, MIN_TARGET_TIME, validateChallenge } from "../util/catalog.js";
+import { DEFAULT_MODE, GAME_MODES } from "../util/modes.js";
+import { DEFAULT_SCORING, SCORING_STRATEGIES } from "../util/scoring.js";
+
+/*
+    A form to create or edit a challenge
+
+    The inputs are controlled by local state (a "draft"), so the catalog is only updated once the form is submitted
+    and the draft is valid. This way a half-typed title or target time never ends up in the catalog.
+*/
+// The draft of a new challenge (the target time is the text of the number input, so it starts out empty)
+const EMPTY_CHALLENGE = { title: "", targetTime: "", mode: DEFAULT_MODE, scoring: DEFAULT_SCORING };
+
+export default function ChallengeForm({ initialChallenge = EMPTY_CHALLENGE, submitLabel, onSubmit, onCancel }) {
+    const [title, setTitle] = useState(initialChallenge.title);
+    const [targetTime, setTargetTime] = useState(String(initialChallenge.targetTime));
+    const [mode, setMode] = useState(initialChallenge.mode ?? DEFAULT_MODE);
+    const [scoring, setScoring] = useState(initialChallenge.scoring ?? DEFAULT_SCORING);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+
+        // An empty input would be converted to 0 by Number(), so we treat it as "not a number" instead
+        const challenge = { title, targetTime: targetTime.trim() === "" ? NaN : Number(targetTime), mode, scoring };
+        const validationError = validateChallenge(challenge);
+
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setError(null);
+        onSubmit(challenge);
+    };
+
+    return (
+        <form className="challenge-form" onSubmit={handleSubmit}>
+            <input
+                type="text"
+                aria-label="Challenge title"
+                placeholder="Title"
+                maxLength={MAX_TITLE_LENGTH}
+                value={title}
+                onChange={(event) => setTitle(event.target.value)}
+            />
+            <input
+                type="number"
+                aria-label="Target time in seconds"
+                placeholder="Seconds"
+                min={MIN_TARGET_TIME}
+                max={MAX_TARGET_TIME}
+                step="0.01"
+                value={targetTime}
+                onChange={(event) => setTargetTime(event.target.value)}
+            />
+            <select aria-label="Game mode" value={mode} onChange={(event) => setMode(event.target.value)}>
+                {GAME_MODES.map((gameMode) => (
+                    <option key={gameMode.id} value={gameMode.id} title={gameMode.description}>
+                        {gameMode.label}
+                    </option>
+                ))}
+            </select>
+            <select aria-label="Scoring strategy" value={scoring} onChange={(event) => setScoring(event.target.value)}>
+                {SCORING_STRATEGIES.map((strategy) => (
+                    <option key={strategy.id} value={strategy.id} title={strategy.description}>
+                        {strategy.label}
+                    </option>
+                ))}
+            </select>
+            <button>{submitLabel}</button>
+            {onCancel && (
+                <button type="button" onClick={onCancel}>
+                    Cancel
+                </button>
+            )}
+            {error && <p className="form-error">{error}</p>}
+        </form>
+    );
+}
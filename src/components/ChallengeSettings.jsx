@@ -0,0 +1,112 @@
+import { useContext, useRef, useState } from "react";
+
+import ChallengeForm from "./ChallengeForm.jsx";
+import useModal from "../hooks/useModal.js";
+import { ChallengeCatalogContext } from "../store/challenge-catalog-context.jsx";
+import { exportCatalog, parseCatalog } from "../util/catalog.js";
+import { downloadFile } from "../util/download.js";
+import { getMode } from "../util/modes.js";
+import { getScoringStrategy } from "../util/scoring.js";
+
+export default function ChallengeSettings() {
+    const { challenges, addChallenge, updateChallenge, removeChallenge, moveChallenge, replaceChallenges, restoreDefaultChallenges } =
+        useContext(ChallengeCatalogContext);
+    const { confirm } = useModal();
+
+    // Only one challenge can be edited at a time
+    const [editedChallengeId, setEditedChallengeId] = useState(null);
+    const [importMessage, setImportMessage] = useState(null);
+
+    // The file input is hidden, we "click" it through this ref when the import button is pressed
+    const fileInput = useRef();
+
+    const handleExport = () => {
+        downloadFile("challenge-pack.json", exportCatalog(challenges));
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+
+        // Reset the input, so the same file can be picked again later
+        event.target.value = "";
+
+        if (!file) {
+            return;
+        }
+
+        try {
+            const importedChallenges = parseCatalog(await file.text());
+
+            const message = `Replace your ${challenges.length} challenges with the ${importedChallenges.length} imported ones?`;
+
+            if (await confirm(message, { confirmLabel: "Import" })) {
+                replaceChallenges(importedChallenges);
+                setImportMessage({ type: "success", text: `Imported ${importedChallenges.length} challenges.` });
+            }
+        } catch (error) {
+            setImportMessage({ type: "error", text: error.message });
+        }
+    };
+
+    const handleRestoreDefaults = async () => {
+        if (await confirm("Replace your challenges with the four default challenges?", { confirmLabel: "Restore" })) {
+            restoreDefaultChallenges();
+        }
+    };
+
+    return (
+        <section id="challenge-settings">
+            <h2>Challenges</h2>
+            <ol>
+                {challenges.map((challenge, index) => (
+                    <li key={challenge.id}>
+                        {editedChallengeId === challenge.id ? (
+                            <ChallengeForm
+                                initialChallenge={challenge}
+                                submitLabel="Save"
+                                onSubmit={(changes) => {
+                                    updateChallenge(challenge.id, changes);
+                                    setEditedChallengeId(null);
+                                }}
+                                onCancel={() => setEditedChallengeId(null)}
+                            />
+                        ) : (
+                            <>
+                                <span className="challenge-settings-title">
+                                    {challenge.title} <em>{challenge.targetTime}s</em> <em>{getMode(challenge.mode).label}</em>{" "}
+                                    <em>{getScoringStrategy(challenge.scoring).label}</em>
+                                </span>
+                                <span className="challenge-settings-actions">
+                                    <button onClick={() => moveChallenge(challenge.id, -1)} disabled={index === 0} aria-label="Move up">
+                                        ↑
+                                    </button>
+                                    <button
+                                        onClick={() => moveChallenge(challenge.id, 1)}
+                                        disabled={index === challenges.length - 1}
+                                        aria-label="Move down"
+                                    >
+                                        ↓
+                                    </button>
+                                    <button onClick={() => setEditedChallengeId(challenge.id)}>Edit</button>
+                                    <button onClick={() => removeChallenge(challenge.id)}>Delete</button>
+                                </span>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ol>
+            {challenges.length === 0 && <p>There are no challenges left. Add one below!</p>}
+            <h3>Add a challenge</h3>
+            {/* The key resets the form (and its draft state) after every added challenge */}
+            <ChallengeForm key={challenges.length} submitLabel="Add" onSubmit={addChallenge} />
+            <h3>Challenge packs</h3>
+            <p className="challenge-settings-actions">
+                <button onClick={handleExport}>Export JSON</button>
+                <button onClick={() => fileInput.current.click()}>Import JSON</button>
+                <button onClick={handleRestoreDefaults}>Restore defaults</button>
+                <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+            </p>
+            {importMessage && <p className={importMessage.type === "error" ? "form-error" : "form-success"}>{importMessage.text}</p>}
+        </section>
+    );
+}
@@ -0,0 +1,45 @@
+import { useContext, useRef, useState } from "react";
+
+import TimerChallenge from "./TimerChallenge.jsx";
+import useChallengeShortcuts from "../hooks/useChallengeShortcuts.js";
+import { ChallengeCatalogContext } from "../store/challenge-catalog-context.jsx";
+
+export default function Challenges() {
+    const { challenges } = useContext(ChallengeCatalogContext);
+
+    // One ref per challenge, so the keyboard shortcuts can reach the methods every TimerChallenge exposes
+    const challengeRefs = useRef([]);
+    const [selectedIndex, setSelectedIndex] = useState(0);
+
+    useChallengeShortcuts(challengeRefs, selectedIndex, setSelectedIndex);
+
+    return (
+        <>
+            {challenges.length > 0 && (
+                <p className="shortcut-hint">
+                    Press <kbd>1</kbd>
+                    {challenges.length > 1 && (
+                        <>
+                            -<kbd>{Math.min(challenges.length, 9)}</kbd>
+                        </>
+                    )}{" "}
+                    to pick a challenge and <kbd>Space</kbd> to start or stop it.
+                </p>
+            )}
+            <div id="challenges">
+                {challenges.map((challenge, index) => (
+                    // The target time, mode and scoring are part of the key, so an edited challenge starts with a fresh timer
+                    <TimerChallenge
+                        key={`${challenge.id}-${challenge.targetTime}-${challenge.mode}-${challenge.scoring}`}
+                        ref={(timerChallenge) => (challengeRefs.current[index] = timerChallenge)}
+                        title={challenge.title}
+                        targetTime={challenge.targetTime}
+                        mode={challenge.mode}
+                        scoring={challenge.scoring}
+                        isSelected={index === selectedIndex}
+                    />
+                ))}
+            </div>
+        </>
+    );
+}
@@ -0,0 +1,16 @@
+// The content of the dialog opened by confirm() - the value of the clicked button becomes the dialog's return value
+export default function ConfirmDialog({ title, message, confirmLabel, cancelLabel }) {
+    return (
+        <form method="dialog">
+            <h2>{title}</h2>
+            <p>{message}</p>
+            <p className="confirm-dialog-actions">
+                {/* Cancelling is the safe choice, so it gets the focus */}
+                <button value="cancel" data-autofocus>
+                    {cancelLabel}
+                </button>
+                <button value="confirm">{confirmLabel}</button>
+            </p>
+        </form>
+    );
+}
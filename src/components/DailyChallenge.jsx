@@ -0,0 +1,65 @@
+import { useContext, useEffect, useState } from "react";
+
+import TimerChallenge from "./TimerChallenge.jsx";
+import { PlayerContext } from "../store/player-context.jsx";
+import { getCurrentStreak, getDailyChallenge, loadDailyRecords, recordDailyAttempt, saveDailyRecords } from "../util/daily.js";
+
+/*
+    The daily challenge: a target time derived from today's date (the same for everybody), one attempt per player and day
+
+    The attempt is recorded as soon as the round ends, so reloading the page while the result modal is open doesn't
+    give the player a second try. The TimerChallenge stays on screen until the result modal is closed though,
+    so the result doesn't suddenly replace the challenge behind the dialog.
+
+    A voided round uses up the attempt as well (with a score of 0) - otherwise leaving the tab would be a free retry.
+*/
+export default function DailyChallenge() {
+    const { playerId, playerName } = useContext(PlayerContext);
+
+    const [records, setRecords] = useState(loadDailyRecords);
+    const [isResultOpen, setIsResultOpen] = useState(false);
+
+    useEffect(() => {
+        saveDailyRecords(records);
+    }, [records]);
+
+    const daily = getDailyChallenge();
+    const playerKey = playerId ?? playerName;
+    const record = records[playerKey];
+    const todaysScore = record?.attempts[daily.dateKey];
+    const isAttemptUsed = todaysScore !== undefined;
+    const streak = getCurrentStreak(record, daily.dateKey);
+
+    const handleFinish = (round) => {
+        setRecords((prevRecords) => recordDailyAttempt(prevRecords, playerKey, daily.dateKey, round.score));
+        setIsResultOpen(true);
+    };
+
+    return (
+        <div id="daily-challenge">
+            <p className="daily-challenge-info">
+                Daily challenge <strong>#{daily.number}</strong> - streak: <strong>{streak}</strong> day{streak === 1 ? "" : "s"}
+            </p>
+            {(!isAttemptUsed || isResultOpen) && (
+                // The date is part of the key, so a new day (after midnight) starts with a fresh timer
+                <TimerChallenge
+                    key={daily.dateKey}
+                    title={`Daily #${daily.number}`}
+                    targetTime={daily.targetTime}
+                    onFinish={handleFinish}
+                    onComplete={() => setIsResultOpen(false)}
+                />
+            )}
+            {isAttemptUsed && !isResultOpen && (
+                <section className="challenge daily-challenge-used" aria-label="Daily challenge">
+                    <h2>Daily #{daily.number}</h2>
+                    <p className="challenge-time">{daily.targetTime} seconds</p>
+                    <p>
+                        {playerName} already used today&apos;s attempt and scored <strong>{todaysScore}</strong>.
+                    </p>
+                    <p>Come back tomorrow for a new target time!</p>
+                </section>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,99 @@
+import { useContext, useRef, useState } from "react";
+
+import ImportPreview from "./ImportPreview.jsx";
+import useModal from "../hooks/useModal.js";
+import { ChallengeCatalogContext } from "../store/challenge-catalog-context.jsx";
+import { GameHistoryContext } from "../store/game-history-context.jsx";
+import { PlayerContext } from "../store/player-context.jsx";
+import { createBackup, createChallengesCsv, createPlayersCsv, createRoundsCsv, mergeBackup, parseBackup } from "../util/backup.js";
+import { downloadFile } from "../util/download.js";
+
+/*
+    Backups of everything the game stores: the rounds, the players and the challenges
+
+    Unlike the challenge packs (see ChallengeSettings), importing a backup never replaces anything - the imported data
+    is merged with the existing data, and the player sees what would change before it's applied.
+*/
+export default function DataSettings() {
+    const { rounds, replaceRounds } = useContext(GameHistoryContext);
+    const { players, replacePlayers } = useContext(PlayerContext);
+    const { challenges, replaceChallenges } = useContext(ChallengeCatalogContext);
+    const { open: openModal } = useModal();
+
+    const [importMessage, setImportMessage] = useState(null);
+    const fileInput = useRef();
+
+    const handleExportJson = () => {
+        downloadFile("almost-final-countdown-backup.json", createBackup({ rounds, players, challenges }));
+    };
+
+    // Spreadsheets can't hold the nested backup, so every kind of data gets a CSV file of its own
+    const handleExportCsv = (fileName, csv) => {
+        downloadFile(fileName, csv, "text/csv");
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+
+        // Reset the input, so the same file can be picked again later
+        event.target.value = "";
+
+        if (!file) {
+            return;
+        }
+
+        try {
+            const backup = parseBackup(await file.text());
+            const merged = mergeBackup({ rounds, players, challenges }, backup);
+
+            const result = await openModal(
+                <ImportPreview summary={merged.summary} version={backup.version} exportedAt={backup.exportedAt} />,
+                { className: "confirm-dialog" }
+            );
+
+            if (result !== "import") {
+                return;
+            }
+
+            replaceRounds(merged.rounds);
+            replacePlayers(merged.players);
+            replaceChallenges(merged.challenges);
+
+            const { summary } = merged;
+            const text = `Imported ${summary.rounds.added} rounds, ${summary.players.added} players and ${summary.challenges.added} challenges.`;
+            setImportMessage({ type: "success", text });
+        } catch (error) {
+            setImportMessage({ type: "error", text: error.message });
+        }
+    };
+
+    return (
+        <section id="data-settings">
+            <h2>Your data</h2>
+            <p>
+                Everything is only stored in this browser. Export a backup to keep it safe or to move it to another device - importing
+                a backup adds what is missing and keeps everything you already have.
+            </p>
+            <p className="challenge-settings-actions">
+                <button onClick={handleExportJson}>Export backup</button>
+                <button onClick={() => fileInput.current.click()}>Import backup</button>
+                <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+            </p>
+            <p className="challenge-settings-actions">
+                <button onClick={() => handleExportCsv("rounds.csv", createRoundsCsv(rounds))} disabled={rounds.length === 0}>
+                    Export rounds as CSV
+                </button>
+                <button onClick={() => handleExportCsv("players.csv", createPlayersCsv(players))} disabled={players.length === 0}>
+                    Export players as CSV
+                </button>
+                <button
+                    onClick={() => handleExportCsv("challenges.csv", createChallengesCsv(challenges))}
+                    disabled={challenges.length === 0}
+                >
+                    Export challenges as CSV
+                </button>
+            </p>
+            {importMessage && <p className={importMessage.type === "error" ? "form-error" : "form-success"}>{importMessage.text}</p>}
+        </section>
+    );
+}
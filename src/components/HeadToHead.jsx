@@ -0,0 +1,56 @@
+import { useContext } from "react";
+
+import { GameHistoryContext } from "../store/game-history-context.jsx";
+import { PlayerContext } from "../store/player-context.jsx";
+import { describeChallengeVariant, getCountedRounds, getHeadToHead } from "../util/history.js";
+
+export default function HeadToHead() {
+    const { rounds } = useContext(GameHistoryContext);
+    const { players } = useContext(PlayerContext);
+
+    // Head-to-head results only make sense once at least two players joined the roster
+    if (players.length < 2) {
+        return null;
+    }
+
+    const { rows, wins } = getHeadToHead(getCountedRounds(rounds), players);
+
+    return (
+        <section id="head-to-head">
+            <h2>Head to Head</h2>
+            {rows.length === 0 && <p>No player on the roster has finished a round yet.</p>}
+            {rows.length > 0 && (
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Challenge</th>
+                            {players.map((player) => (
+                                <th key={player.id}>{player.name}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row) => (
+                            <tr key={row.key}>
+                                <td>{describeChallengeVariant(row)}</td>
+                                {players.map((player) => (
+                                    <td key={player.id} className={row.leaderIds.includes(player.id) ? "leader" : undefined}>
+                                        {row.bestScores[player.id] ?? "-"}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Challenges won</th>
+                            {players.map((player) => (
+                                <th key={player.id}>{wins[player.id]}</th>
+                            ))}
+                        </tr>
+                    </tfoot>
+                </table>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,40 @@
+import { useContext } from "react";
+
+import Avatar from "./Avatar.jsx";
+import { PlayerContext } from "../store/player-context.jsx";
+
+/*
+    The header used to be static HTML in index.html - it's a component now, so it can show whose turn it is
+
+    With several profiles, the banner doubles as a profile switcher, so the turn can be handed over from every view
+*/
+export default function Header() {
+    const { players, playerId, playerName, setActivePlayer } = useContext(PlayerContext);
+
+    const activePlayer = players.find((player) => player.id === playerId);
+
+    return (
+        <header>
+            <h1>
+                The <em>Almost</em> Final Countdown
+            </h1>
+            <p>Stop the timer once you estimate that time is (almost) up</p>
+            {players.length > 0 && (
+                <p className="active-player-banner">
+                    <Avatar player={activePlayer} /> Now playing:{" "}
+                    {players.length > 1 ? (
+                        <select aria-label="Switch player" value={playerId ?? ""} onChange={(event) => setActivePlayer(event.target.value)}>
+                            {players.map((player) => (
+                                <option key={player.id} value={player.id}>
+                                    {player.name}
+                                </option>
+                            ))}
+                        </select>
+                    ) : (
+                        <strong>{playerName}</strong>
+                    )}
+                </p>
+            )}
+        </header>
+    );
+}
@@ -0,0 +1,37 @@
+import { BACKUP_VERSION } from "../util/backup.js";
+
+function PreviewRow({ label, counts }) {
+    return (
+        <li>
+            <strong>{label}:</strong> {counts.added} new, {counts.skipped} already known
+            {counts.merged > 0 && ` (${counts.merged} merged with players of the same name)`}
+        </li>
+    );
+}
+
+// The content of the dialog that shows what an import would change, before anything is applied
+export default function ImportPreview({ summary, version, exportedAt }) {
+    const hasChanges = summary.rounds.added + summary.players.added + summary.challenges.added > 0;
+
+    return (
+        <form method="dialog">
+            <h2>Import backup</h2>
+            {exportedAt && <p>Exported on {new Date(exportedAt).toLocaleString()}</p>}
+            {version < BACKUP_VERSION && <p>This file was created by an older version of the game and has been converted.</p>}
+            <ul className="import-preview">
+                <PreviewRow label="Rounds" counts={summary.rounds} />
+                <PreviewRow label="Players" counts={summary.players} />
+                <PreviewRow label="Challenges" counts={summary.challenges} />
+            </ul>
+            {!hasChanges && <p>Everything in this file is already part of your game.</p>}
+            <p className="confirm-dialog-actions">
+                <button value="cancel" data-autofocus>
+                    Cancel
+                </button>
+                <button value="import" disabled={!hasChanges}>
+                    Import
+                </button>
+            </p>
+        </form>
+    );
+}
@@ -0,0 +1,153 @@
+import { useContext, useRef, useState } from "react";
+
+import JuggleSummaryModal from "./JuggleSummaryModal.jsx";
+import TimerChallenge from "./TimerChallenge.jsx";
+import useChallengeShortcuts from "../hooks/useChallengeShortcuts.js";
+import useModal from "../hooks/useModal.js";
+import { PlayerContext } from "../store/player-context.jsx";
+import {
+    DEFAULT_JUGGLE_START,
+    DEFAULT_JUGGLE_STAGGER,
+    DEFAULT_JUGGLE_TIMERS,
+    MAX_JUGGLE_TIMERS,
+    MIN_JUGGLE_TIMERS,
+    createJugglePlan,
+    summarizeJuggle,
+} from "../util/juggle.js";
+
+// All timers of a juggle share this group, so the timer coordinator lets them run at the same time
+const JUGGLE_GROUP = "juggle";
+
+export default function Juggle() {
+    const { nextTurn } = useContext(PlayerContext);
+    const { open: openModal } = useModal();
+
+    const [timerCount, setTimerCount] = useState(DEFAULT_JUGGLE_TIMERS);
+    const [firstTargetTime, setFirstTargetTime] = useState(DEFAULT_JUGGLE_START);
+    const [stagger, setStagger] = useState(DEFAULT_JUGGLE_STAGGER);
+
+    // plan is null while the setup form is shown, attempt is part of the timers' keys (a new attempt = fresh timers)
+    const [plan, setPlan] = useState(null);
+    const [attempt, setAttempt] = useState(0);
+
+    /*
+        The finished rounds of the current attempt, by plan index
+
+        NOTE: this is a ref instead of state, because several timers can finish within the same render (e.g. two timers
+              that expire at the same time) - with state, the second onFinish would still see the old results
+    */
+    const finishedRounds = useRef([]);
+
+    // The same rounds as state, so a finished timer can be replaced with its result until the attempt is over
+    const [results, setResults] = useState([]);
+
+    const challengeRefs = useRef([]);
+    const [selectedIndex, setSelectedIndex] = useState(0);
+    useChallengeShortcuts(challengeRefs, selectedIndex, setSelectedIndex);
+
+    const handleStartJuggle = (event) => {
+        event.preventDefault();
+        finishedRounds.current = [];
+        setResults([]);
+        setSelectedIndex(0);
+        setPlan(createJugglePlan(timerCount, { firstTargetTime, stagger }));
+    };
+
+    const handleTimerFinish = async (index, round) => {
+        finishedRounds.current[index] = round;
+        setResults([...finishedRounds.current]);
+
+        if (finishedRounds.current.filter(Boolean).length < plan.length) {
+            return;
+        }
+
+        await openModal(<JuggleSummaryModal summary={summarizeJuggle(finishedRounds.current)} />, {
+            className: "result-modal juggle-summary",
+        });
+
+        // Like closing a result modal, closing the juggle's result ends the turn - then the next attempt starts fresh
+        finishedRounds.current = [];
+        setResults([]);
+        nextTurn();
+        setAttempt((prevAttempt) => prevAttempt + 1);
+    };
+
+    if (plan === null) {
+        return (
+            <section id="juggle">
+                <h2>Juggle</h2>
+                <p>Start several timers with staggered target times and stop every single one of them in time!</p>
+                <form className="juggle-setup" onSubmit={handleStartJuggle}>
+                    <label>
+                        Timers
+                        <input
+                            type="number"
+                            min={MIN_JUGGLE_TIMERS}
+                            max={MAX_JUGGLE_TIMERS}
+                            value={timerCount}
+                            onChange={(event) =>
+                                setTimerCount(Math.min(MAX_JUGGLE_TIMERS, Math.max(MIN_JUGGLE_TIMERS, Number(event.target.value))))
+                            }
+                        />
+                    </label>
+                    <label>
+                        First target (s)
+                        <input
+                            type="number"
+                            min={1}
+                            step={0.5}
+                            value={firstTargetTime}
+                            onChange={(event) => setFirstTargetTime(Math.max(1, Number(event.target.value)))}
+                        />
+                    </label>
+                    <label>
+                        Stagger (s)
+                        <input
+                            type="number"
+                            min={0.5}
+                            step={0.5}
+                            value={stagger}
+                            onChange={(event) => setStagger(Math.max(0.5, Number(event.target.value)))}
+                        />
+                    </label>
+                    <button>Start Juggling</button>
+                </form>
+            </section>
+        );
+    }
+
+    return (
+        <section id="juggle">
+            <h2>Juggle</h2>
+            <p className="juggle-progress">
+                Attempt <strong>{attempt + 1}</strong> - start the timers in any order and stop each one at its target
+            </p>
+            <div id="challenges">
+                {plan.map((ball, index) =>
+                    results[index] ? (
+                        // A finished timer can't be started again within the same attempt
+                        <section key={`${attempt}-${index}`} className="challenge">
+                            <h2>{ball.title}</h2>
+                            <p className="challenge-time">{ball.targetTime} seconds</p>
+                            <p>{results[index].won ? `Score: ${results[index].score}` : "Dropped!"}</p>
+                        </section>
+                    ) : (
+                        <TimerChallenge
+                            key={`${attempt}-${index}`}
+                            ref={(timerChallenge) => (challengeRefs.current[index] = timerChallenge)}
+                            title={ball.title}
+                            targetTime={ball.targetTime}
+                            group={JUGGLE_GROUP}
+                            showsResult={false}
+                            onFinish={(round) => handleTimerFinish(index, round)}
+                            isSelected={index === selectedIndex}
+                        />
+                    )
+                )}
+            </div>
+            <p className="juggle-setup">
+                <button onClick={() => setPlan(null)}>Change Setup</button>
+            </p>
+        </section>
+    );
+}
@@ -0,0 +1,37 @@
+const formatSeconds = (milliseconds) => (milliseconds / 1000).toFixed(2);
+
+// The content of the combined result dialog of a juggle (opened through the modal manager, just like the ResultModal)
+export default function JuggleSummaryModal({ summary }) {
+    return (
+        <>
+            <h2>Grade {summary.grade}</h2>
+            <p>
+                You stopped <strong>{summary.wonCount}</strong> of {summary.rounds.length} timers in time - total score:{" "}
+                <strong>{summary.totalScore}</strong>
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Timer</th>
+                        <th>Target</th>
+                        <th>Time left</th>
+                        <th>Score</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {summary.rounds.map((round) => (
+                        <tr key={round.id}>
+                            <td>{round.challengeTitle}</td>
+                            <td>{round.targetTime}s</td>
+                            <td>{round.voided ? "voided" : round.won ? `${formatSeconds(round.remainingTime)}s` : "lost"}</td>
+                            <td>{round.score}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <form method="dialog">
+                <button data-autofocus>CLOSE</button>
+            </form>
+        </>
+    );
+}
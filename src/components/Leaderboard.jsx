@@ -0,0 +1,91 @@
+import { useContext, useState } from "react";
+
+import useModal from "../hooks/useModal.js";
+import { GameHistoryContext } from "../store/game-history-context.jsx";
+import { describeChallengeVariant, filterRounds, getCountedRounds, getLeaderboard } from "../util/history.js";
+
+export default function Leaderboard() {
+    const { rounds, clearRounds } = useContext(GameHistoryContext);
+    const { confirm } = useModal();
+
+    // An empty string means "show everything" for both filters
+    const [playerFilter, setPlayerFilter] = useState("");
+    const [challengeFilter, setChallengeFilter] = useState("");
+
+    // The filter options are derived from the stored rounds, so we only offer players and challenges that have scores
+    const playerNames = [...new Set(rounds.map((round) => round.playerName))].sort();
+    const challengeTitles = [...new Set(rounds.map((round) => round.challengeTitle))];
+
+    const filter = { playerName: playerFilter, challengeTitle: challengeFilter };
+    // Voided rounds can still be deleted with the reset button, but they never show up in the leaderboard
+    const rows = getLeaderboard(filterRounds(getCountedRounds(rounds), filter));
+
+    const handleReset = async () => {
+        const isFiltered = playerFilter || challengeFilter;
+        const message = isFiltered ? "Delete all scores matching the current filter?" : "Delete ALL stored scores?";
+
+        if (await confirm(message, { confirmLabel: "Delete" })) {
+            clearRounds(filter);
+            setPlayerFilter("");
+            setChallengeFilter("");
+        }
+    };
+
+    return (
+        <section id="leaderboard">
+            <h2>Leaderboard</h2>
+            <div className="leaderboard-filters">
+                <label>
+                    Player
+                    <select value={playerFilter} onChange={(event) => setPlayerFilter(event.target.value)}>
+                        <option value="">All players</option>
+                        {playerNames.map((name) => (
+                            <option key={name} value={name}>
+                                {name}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Challenge
+                    <select value={challengeFilter} onChange={(event) => setChallengeFilter(event.target.value)}>
+                        <option value="">All challenges</option>
+                        {challengeTitles.map((title) => (
+                            <option key={title} value={title}>
+                                {title}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <button onClick={handleReset} disabled={rows.length === 0}>
+                    Reset
+                </button>
+            </div>
+            {rows.length === 0 && <p className="leaderboard-empty">No finished rounds yet. Start a challenge!</p>}
+            {rows.length > 0 && (
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Player</th>
+                            <th>Challenge</th>
+                            <th>Best</th>
+                            <th>Average</th>
+                            <th>Rounds</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row) => (
+                            <tr key={row.key}>
+                                <td>{row.playerName}</td>
+                                <td>{describeChallengeVariant(row)}</td>
+                                <td>{row.best}</td>
+                                <td>{row.average}</td>
+                                <td>{row.played}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,20 @@
+// The app only has a couple of pages, so instead of a router we simply switch between "views" with a piece of state in App
+export default function MainNavigation({ views, currentView, onSelectView }) {
+    return (
+        <nav id="main-navigation">
+            <ul>
+                {views.map((view) => (
+                    <li key={view.id}>
+                        <button
+                            className={view.id === currentView ? "active" : undefined}
+                            aria-current={view.id === currentView ? "page" : undefined}
+                            onClick={() => onSelectView(view.id)}
+                        >
+                            {view.label}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </nav>
+    );
+}
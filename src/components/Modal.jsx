@@ -0,0 +1,90 @@
+import { useEffect, useId, useRef } from "react";
+import { createPortal } from "react-dom";
+
+import { getModalRoot } from "../util/modal-root.js";
+
+const FOCUSABLE_ELEMENTS = "button, [href], input, select, textarea, [tabindex]:not([tabindex='-1'])";
+
+/*
+    A single <dialog>, rendered by the ModalContextProvider for every open modal
+
+    - The dialog is opened with showModal() (for the dimmed backdrop and the focus trap) as soon as it is rendered,
+      and the element that had the focus before gets it back once the dialog is gone
+    - onClose(value) is called when the dialog wants to close: Escape, a click on the backdrop (if allowed by the
+      policy) or a <form method="dialog"> inside of the content, whose submit button's value becomes the return value
+    - Closing is decided by the parent: the dialog disappears when the parent stops rendering it
+
+    Note: the "React DOM" library exposes createPortal, which teleports the JSX into a different place in the DOM. The
+    overlay visually sits on top of the whole page, so it is rendered directly into the #modal div instead of deep inside
+    of whichever component opened it. That's better for accessibility and avoids styling conflicts.
+*/
+export default function Modal({ className, closeOnEscape = true, closeOnBackdrop = true, onClose, children }) {
+    const dialog = useRef();
+    const headingId = useId();
+
+    useEffect(() => {
+        const modal = dialog.current;
+        const previouslyFocusedElement = document.activeElement;
+
+        // In development, StrictMode runs this effect twice - the dialog is already open the second time
+        if (!modal.open) {
+            modal.showModal();
+        }
+
+        // The first heading names the dialog, so screen readers announce it when the dialog opens
+        const heading = modal.querySelector("h1, h2, h3");
+
+        if (heading) {
+            heading.id ||= headingId;
+            modal.setAttribute("aria-labelledby", heading.id);
+        }
+
+        // An element with data-autofocus inside of the content gets the focus first, otherwise the first focusable element
+        // NOTE: querySelector returns the first element in the DOM that matches ANY part of a selector list, so the
+        //       data-autofocus element needs its own query - otherwise a button above it would win
+        (modal.querySelector("[data-autofocus]") ?? modal.querySelector(FOCUSABLE_ELEMENTS))?.focus();
+
+        return () => {
+            // The focused element might have been removed in the meantime (e.g. the next tournament round started)
+            if (previouslyFocusedElement?.isConnected) {
+                previouslyFocusedElement.focus();
+            }
+        };
+    }, [headingId]);
+
+    // The "cancel" event fires when Escape is pressed - we prevent the browser from closing the dialog on its own,
+    // so the modal manager stays in charge of which dialogs are open
+    const handleCancel = (event) => {
+        event.preventDefault();
+
+        if (closeOnEscape) {
+            onClose(undefined);
+        }
+    };
+
+    // The "close" event fires when a <form method="dialog"> was submitted
+    const handleClose = () => {
+        onClose(dialog.current.returnValue || undefined);
+    };
+
+    // Clicks on the backdrop are reported as clicks on the <dialog> itself, but outside of its box
+    const handleClick = (event) => {
+        if (!closeOnBackdrop || event.target !== dialog.current) {
+            return;
+        }
+
+        const { left, right, top, bottom } = dialog.current.getBoundingClientRect();
+        const isOnBackdrop = event.clientX < left || event.clientX > right || event.clientY < top || event.clientY > bottom;
+
+        if (isOnBackdrop) {
+            onClose(undefined);
+        }
+    };
+
+    return createPortal(
+        <dialog ref={dialog} className={className} onCancel={handleCancel} onClose={handleClose} onClick={handleClick}>
+            {children}
+        </dialog>,
+        getModalRoot()
+    );
+}
@@ -0,0 +1,82 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+
+import Modal from "./Modal.jsx";
+
+describe("Modal", () => {
+    it("is rendered into the #modal div instead of the component tree", () => {
+        const modalRoot = document.createElement("div");
+        modalRoot.id = "modal";
+        document.body.append(modalRoot);
+
+        const { container } = render(
+            <Modal onClose={() => {}}>
+                <h2>Hello</h2>
+            </Modal>
+        );
+
+        const dialog = screen.getByRole("dialog");
+        expect(modalRoot.contains(dialog)).toBe(true);
+        expect(container.contains(dialog)).toBe(false);
+        expect(dialog.open).toBe(true);
+
+        modalRoot.remove();
+    });
+
+    it("creates the #modal div if the page doesn't have one", () => {
+        render(<Modal onClose={() => {}}>Hello</Modal>);
+
+        expect(document.getElementById("modal").contains(screen.getByRole("dialog"))).toBe(true);
+    });
+
+    it("is labelled by its first heading and focuses the data-autofocus element", () => {
+        render(
+            <Modal onClose={() => {}}>
+                <h2>Your score: 90!</h2>
+                <button>Share</button>
+                <button data-autofocus>CLOSE</button>
+            </Modal>
+        );
+
+        expect(screen.getByRole("dialog", { name: "Your score: 90!" })).toBeTruthy();
+        expect(document.activeElement).toBe(screen.getByRole("button", { name: "CLOSE" }));
+    });
+
+    it("closes with the value of the button that submitted its form", () => {
+        const handleClose = vi.fn();
+
+        render(
+            <Modal onClose={handleClose}>
+                <form method="dialog">
+                    <button value="confirm">Yes</button>
+                </form>
+            </Modal>
+        );
+
+        fireEvent.click(screen.getByRole("button", { name: "Yes" }));
+
+        expect(handleClose).toHaveBeenCalledWith("confirm");
+    });
+
+    it("only closes on Escape if the policy allows it", () => {
+        const handleClose = vi.fn();
+
+        const { rerender } = render(
+            <Modal closeOnEscape={false} onClose={handleClose}>
+                Hello
+            </Modal>
+        );
+
+        // Pressing Escape makes the browser fire a "cancel" event on the dialog
+        const cancelEvent = new Event("cancel", { cancelable: true });
+        screen.getByRole("dialog").dispatchEvent(cancelEvent);
+
+        expect(cancelEvent.defaultPrevented).toBe(true);
+        expect(handleClose).not.toHaveBeenCalled();
+
+        rerender(<Modal onClose={handleClose}>Hello</Modal>);
+        screen.getByRole("dialog").dispatchEvent(new Event("cancel", { cancelable: true }));
+
+        expect(handleClose).toHaveBeenCalledWith(undefined);
+    });
+});
@@ -0,0 +1,82 @@
+import { fireEvent, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+
+import Player from "./Player.jsx";
+import { renderWithProviders } from "../test/render-with-providers.jsx";
+
+function addPlayer(name) {
+    fireEvent.change(screen.getByRole("textbox", { name: "Player name" }), { target: { value: name } });
+    fireEvent.click(screen.getByRole("button", { name: "Add Player" }));
+}
+
+const getHeading = () => screen.getByRole("heading", { level: 2 });
+
+describe("Player", () => {
+    it("welcomes the unknown entity until somebody joins", () => {
+        renderWithProviders(<Player />);
+
+        expect(getHeading().textContent).toContain("Welcome unknown entity");
+    });
+
+    it("adds a player with the trimmed name and clears the input", () => {
+        renderWithProviders(<Player />);
+
+        addPlayer("  Ada  ");
+
+        expect(getHeading().textContent).toContain("Welcome Ada");
+        expect(screen.getByRole("button", { name: "Remove Ada" })).toBeTruthy();
+        expect(screen.getByRole("textbox", { name: "Player name" }).value).toBe("");
+    });
+
+    it("shows an error instead of adding an invalid name", () => {
+        renderWithProviders(<Player />);
+
+        addPlayer("   ");
+        expect(screen.getByRole("alert").textContent).toBe("Please enter a name.");
+
+        addPlayer("Ada");
+        addPlayer("ADA");
+
+        expect(screen.getByRole("alert").textContent).toBe('There already is a player called "ADA".');
+        expect(screen.getByRole("textbox", { name: "Player name" }).getAttribute("aria-invalid")).toBe("true");
+        expect(screen.getAllByRole("button", { name: /^Remove/ })).toHaveLength(1);
+    });
+
+    it("hides the error while the name is being fixed", () => {
+        renderWithProviders(<Player />);
+
+        addPlayer("");
+        fireEvent.change(screen.getByRole("textbox", { name: "Player name" }), { target: { value: "A" } });
+
+        expect(screen.queryByRole("alert")).toBeNull();
+    });
+
+    it("renames a player and remembers the previous name", () => {
+        renderWithProviders(<Player />);
+
+        addPlayer("Ada");
+        fireEvent.click(screen.getByRole("button", { name: "Rename Ada" }));
+
+        const input = screen.getByRole("textbox", { name: "New name for Ada" });
+        fireEvent.change(input, { target: { value: "Countess" } });
+        fireEvent.click(screen.getByRole("button", { name: "Rename" }));
+
+        expect(getHeading().textContent).toContain("Welcome Countess");
+
+        fireEvent.click(screen.getByRole("button", { name: "Rename Countess" }));
+        expect(screen.getByText("Previously known as Ada")).toBeTruthy();
+    });
+
+    it("hands the turn to a player whose name is clicked", () => {
+        renderWithProviders(<Player />);
+
+        addPlayer("Ada");
+        addPlayer("Grace");
+        expect(getHeading().textContent).toContain("Welcome Ada");
+
+        // The names are toggle buttons (aria-pressed), unlike the rename and remove buttons next to them
+        fireEvent.click(screen.getByRole("button", { name: /Grace$/, pressed: false }));
+
+        expect(getHeading().textContent).toContain("Welcome Grace");
+    });
+});
@@ -0,0 +1,65 @@
+import { useState } from "react";
+
+import { MAX_PLAYER_NAME_LENGTH, validatePlayerName } from "../util/players.js";
+
+/*
+    A form to add a player or to rename one
+
+    Just like the ChallengeForm, the input is controlled by state, so we can validate the name before it reaches the
+    roster and show what's wrong with it. After a successful submit the input is cleared by simply resetting the
+    state - no need to reach into the DOM through a ref anymore.
+
+    - players is the roster, so duplicate names can be detected
+    - playerId is the id of the renamed player (their own current name is not a duplicate)
+*/
+export default function PlayerNameForm({ initialName = "", players, playerId = null, label, submitLabel, onSubmit, onCancel }) {
+    const [name, setName] = useState(initialName);
+    const [error, setError] = useState(null);
+
+    const handleChange = (event) => {
+        setName(event.target.value);
+
+        // The old error message would be misleading while the player fixes the name
+        setError(null);
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+
+        const validationError = validatePlayerName(name, players, playerId);
+
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        onSubmit(name.trim());
+        setName(initialName);
+    };
+
+    return (
+        <form className="player-name-form" onSubmit={handleSubmit} noValidate>
+            <p>
+                <input
+                    type="text"
+                    aria-label={label}
+                    aria-invalid={error !== null}
+                    maxLength={MAX_PLAYER_NAME_LENGTH}
+                    value={name}
+                    onChange={handleChange}
+                />
+                <button>{submitLabel}</button>
+                {onCancel && (
+                    <button type="button" onClick={onCancel}>
+                        Cancel
+                    </button>
+                )}
+            </p>
+            {error && (
+                <p className="form-error" role="alert">
+                    {error}
+                </p>
+            )}
+        </form>
+    );
+}
@@ -0,0 +1,79 @@
+import { useContext } from "react";
+
+import { CueContext } from "../store/cue-context.jsx";
+import { SettingsContext } from "../store/settings-context.jsx";
+import { CUES } from "../util/cues.js";
+import { THEMES } from "../util/themes.js";
+
+export default function PreferenceSettings() {
+    const { settings, updateSettings } = useContext(SettingsContext);
+    const { playCue } = useContext(CueContext);
+
+    // The cue settings are nested, so we always pass the complete (updated) cues object to updateSettings
+    const handleCueChange = (cueId, changes) => {
+        updateSettings({ cues: { ...settings.cues, [cueId]: { ...settings.cues[cueId], ...changes } } });
+    };
+
+    return (
+        <section id="preference-settings">
+            <h2>Preferences</h2>
+            <label className="setting">
+                <span>Theme</span>
+                <select value={settings.theme} onChange={(event) => updateSettings({ theme: event.target.value })}>
+                    {THEMES.map((theme) => (
+                        <option key={theme.id} value={theme.id}>
+                            {theme.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            <label className="setting">
+                <span>Animations</span>
+                <select value={settings.reducedMotion} onChange={(event) => updateSettings({ reducedMotion: event.target.value })}>
+                    <option value="system">Follow system setting</option>
+                    <option value="reduce">Reduce motion</option>
+                    <option value="allow">Always animate</option>
+                </select>
+            </label>
+            <label className="setting">
+                <span>When you leave the game while a timer runs</span>
+                <select value={settings.interruptions} onChange={(event) => updateSettings({ interruptions: event.target.value })}>
+                    <option value="void">Void the round</option>
+                    <option value="pause">Pause the timer</option>
+                </select>
+            </label>
+            <h3>Sounds &amp; vibration</h3>
+            {CUES.map((cue) => (
+                <div key={cue.id} className="setting">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={settings.cues[cue.id].enabled}
+                            onChange={(event) => handleCueChange(cue.id, { enabled: event.target.checked })}
+                        />{" "}
+                        {cue.label}
+                    </label>
+                    <span className="setting-controls">
+                        <input
+                            type="range"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            aria-label={`${cue.label} volume`}
+                            value={settings.cues[cue.id].volume}
+                            disabled={!settings.cues[cue.id].enabled}
+                            onChange={(event) => handleCueChange(cue.id, { volume: Number(event.target.value) })}
+                        />
+                        <button onClick={() => playCue(cue.id)} disabled={!settings.cues[cue.id].enabled}>
+                            Test
+                        </button>
+                    </span>
+                </div>
+            ))}
+            <label className="setting">
+                <span>Vibrate on supported devices</span>
+                <input type="checkbox" checked={settings.haptics} onChange={(event) => updateSettings({ haptics: event.target.checked })} />
+            </label>
+        </section>
+    );
+}
@@ -1,96 +1,122 @@
-import { forwardRef, useImperativeHandle, useRef } from "react";
-import { createPortal } from "react-dom";
+import { useState } from "react";
 
-/*
-    NOTE: You CANNOT pass a ref to a Custom Component as a property!
-    Instead you have to use a special React function called "forwardRef"
-
-    forwardRef - forwards a ref from one component to another, so that ref can be used in the other component
+import { DEFAULT_MODE, getMode } from "../util/modes.js";
+import { DEFAULT_SCORING, scoreRound } from "../util/scoring.js";
+import { copyToClipboard, createShareLink } from "../util/share.js";
 
-    To use forwardRef, you need to wrap it around the component function
-    Instead passing "ref" inside the destructured "prop", we pass it in as a second parameter in the ResultModel function.
+/*
+    The content of the result dialog, opened through the modal manager (see store/modal-context.jsx) once a round ended
 
-    NOTE: Even if you're not passing in any attributes, you still need to pass in something in the first parameter!
-          Otherwise, it doesn't work! ref needs to be the second parameter
+    The <dialog> element itself, the portal and the focus handling live in the reusable Modal component. This component
+    only describes what goes INTO the dialog, so it doesn't need a ref or useImperativeHandle anymore - the dialog is
+    rendered while it's open and removed again when it closes, so its state starts fresh for every round
 */
-const ResultModal = forwardRef(function ResultModal({ targetTime, remainingTime, onReset }, ref) {
-    // This useRef will bind to the <dialog> element!
-    const dialog = useRef();
+export default function ResultModal({
+    challengeTitle,
+    playerName,
+    targetTime,
+    remainingTime,
+    mode = DEFAULT_MODE,
+    scoring = DEFAULT_SCORING,
+    ghost = null,
+    voided = false,
+}) {
+    // "idle", "copied" or "failed"
+    const [copyStatus, setCopyStatus] = useState("idle");
+
+    // A voided round has no score, so there's nothing to explain (or to share)
+    if (voided) {
+        return (
+            <>
+                <h2>Round voided!</h2>
+                <p>You left the game while the timer was running, so this round doesn&apos;t count.</p>
+                <p>
+                    The target time was <strong>{targetTime} seconds.</strong> Stay on this tab until you stopped the timer!
+                </p>
+                <form method="dialog">
+                    <button data-autofocus>CLOSE</button>
+                </form>
+            </>
+        );
+    }
 
-    const didUserLose = remainingTime <= 0;
+    // The score formula lives in util/scoring.js so the exact same score is stored in the game history
+    const gameMode = getMode(mode);
+    const { score, lost: didUserLose, errorTime, method, strategy, breakdown } = scoreRound({ mode, targetTime, remainingTime, scoring });
     const formattedRemainingTime = (remainingTime / 1000).toFixed(2);
-    const score = Math.round((1 - remainingTime / (targetTime * 1000)) * 100);
-
-    /*
-        The useImperativeHandle hook is used to define properties and methods that should be accessible on this component
-        from OUTSIDE this component!
-
-        Note: we won't be using this hook too often, because in most cases we should prefer working with "props" and so on
-              But for use cases like this, the useImperativeHandle hook makes the ResaultModal component more stable and reusable
-
-        useImperativeHandle needs two arguments:
-        (1) the first argument must be a ref passed it! So useImperativeHandle is meant to work together with forwardRef
-        (2) the second argument is a function that returns on object which groups all the properties and methods that should be exposed
-            by the ResultModal component to other components!
-    */
-    useImperativeHandle(ref, () => {
-        return {
-            // NOTE: this is a shorthand way of writing open: () => dialog.current.showModal();
-            // When the open method is called, it opens the dialog modal
-            open() {
-                dialog.current.showModal();
-            },
-        };
-    });
+    const formattedStopTime = ((targetTime * 1000 - remainingTime) / 1000).toFixed(2);
+    const formattedError = (Math.abs(errorTime) / 1000).toFixed(2);
+
+    const handleCopyShareLink = async (event) => {
+        const shareLink = createShareLink({
+            challengeTitle,
+            mode,
+            scoring,
+            targetTime,
+            stopTime: targetTime * 1000 - remainingTime,
+            playerName,
+            score,
+        });
+
+        // The fallback copy needs an element inside of the (modal) dialog, everything outside of it is inert
+        setCopyStatus((await copyToClipboard(shareLink, event.currentTarget.closest("dialog"))) ? "copied" : "failed");
+    };
 
     return (
-        /*
-            By default the dialog box is invisible, but adding the "open" attribute makes it visible
-
-            However! forcefully opening the dialog doesn't give it a dimmed background overlay agains the screen.
-
-            Instead we have to PROGRAMMATICALLY open the dialog to get the dimmed overlay background. This is where Refs can help us!
-        */
-
-        /*
-            We're using the dialog ref defined in the ResultModal component! NOT the dialog ref in the TimerChallenge component!
-            We detach the TimerChallenge component from the <dialog> element component in ResultModal component
-        */
-
-        /*
-        Note: 
-            - The "React" Library only exposes functions and features that work in all kinds of environment (like React Native)
-            - The "React DOM" Library includes a couple of features and functions that in the end allow React to interact with the DOM
-                (so with a website rendered in the browser)
-
-            One function exposed by the React DOM is the "createPortal" function which creates a portal that teleports HTML code to a
-            different place in the DOM
-
-            To achive this, we wrap the JSX code with createPortal as the first argument. And then, createPortal takes in a second
-            argument is an HTML element that the code should teleport to (where it should be rendered in the end)
-        */
-        createPortal(
-            <dialog ref={dialog} className="result-modal" onClose={onReset}>
-                {didUserLose && <h2>You lost!</h2>}
-                {!didUserLose && <h2>Your score: {score}!</h2>}
+        <>
+            {didUserLose && <h2>You lost!</h2>}
+            {!didUserLose && <h2>Your score: {score}!</h2>}
+            <p>
+                The target time was <strong>{targetTime} seconds.</strong>
+            </p>
+            {/* In the modes that allow overshooting, "time left" makes no sense, so we show the error in both directions */}
+            {gameMode.allowsOvershoot ? (
                 <p>
-                    The target time was <strong>{targetTime} seconds.</strong>
+                    You stopped after <strong>{formattedStopTime} seconds</strong>, which is{" "}
+                    <strong>
+                        {formattedError} seconds {errorTime < 0 ? "too early" : "too late"}.
+                    </strong>
                 </p>
+            ) : (
                 <p>
                     You stopped the timer with <strong>{formattedRemainingTime} seconds left.</strong>
                 </p>
-                {/*
-                    When a form's method is dialog, the state of the form is saved but not submitted, and the dialog gets closed.
-                    A button that "submits" the form will CLOSE the dialog!
-                */}
-                <form method="dialog" onSubmit={onReset}>
-                    {/* This button CLOSES the dialog */}
-                    <button>CLOSE</button>
-                </form>
-            </dialog>,
-            document.getElementById("modal") // we select the div with the "modal" Id (inside the index.html file)
-        )
+            )}
+            <p className="result-modal-scoring">
+                {gameMode.label} mode, {strategy.label} scoring: {method}
+            </p>
+            {/* Every scoring strategy explains how it calculated the score */}
+            <dl className="score-breakdown">
+                {breakdown.map((row) => (
+                    <div key={row.label}>
+                        <dt>{row.label}</dt>
+                        <dd>{row.value}</dd>
+                    </div>
+                ))}
+            </dl>
+            {/* When the player took on a shared result, we compare the two scores */}
+            {ghost && (
+                <p className="result-modal-ghost">
+                    {ghost.playerName} scored <strong>{ghost.score}</strong> -{" "}
+                    {score > ghost.score ? "you beat them!" : score === ghost.score ? "it's a tie!" : "not this time!"}
+                </p>
+            )}
+            <p className="result-modal-share-status" role="status">
+                {copyStatus === "copied" && "Link copied - send it to your friends!"}
+                {copyStatus === "failed" && "Copying didn't work, sorry!"}
+            </p>
+            {/*
+                When a form's method is dialog, the state of the form is saved but not submitted, and the dialog gets closed.
+                A button that "submits" the form will CLOSE the dialog!
+            */}
+            <form method="dialog">
+                {/* type="button" keeps this button from submitting (and closing) the dialog */}
+                <button type="button" onClick={handleCopyShareLink}>
+                    Copy share link
+                </button>{" "}
+                {/* This button CLOSES the dialog */}
+                <button data-autofocus>CLOSE</button>
+            </form>
+        </>
     );
-});
-
-export default ResultModal;
+}
@@ -0,0 +1,39 @@
+import { render, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+
+import ResultModal from "./ResultModal.jsx";
+
+describe("ResultModal", () => {
+    it("shows the score and the remaining time", () => {
+        render(<ResultModal challengeTitle="Easy" playerName="Ada" targetTime={1} remainingTime={120} />);
+
+        expect(screen.getByRole("heading").textContent).toBe("Your score: 88!");
+        expect(screen.getByText(/with/).textContent).toBe("You stopped the timer with 0.12 seconds left.");
+    });
+
+    it("shows a loss if the time ran out", () => {
+        render(<ResultModal challengeTitle="Easy" playerName="Ada" targetTime={1} remainingTime={0} />);
+
+        expect(screen.getByRole("heading").textContent).toBe("You lost!");
+    });
+
+    it("shows the error in both directions in the overshoot mode", () => {
+        render(<ResultModal challengeTitle="Easy" playerName="Ada" targetTime={2} remainingTime={-250} mode="overshoot" />);
+
+        expect(screen.getByText(/You stopped after/).textContent).toBe("You stopped after 2.25 seconds, which is 0.25 seconds too late.");
+    });
+
+    it("compares the score with the ghost's score", () => {
+        const ghost = { playerName: "Grace", score: 90, stopTime: 900 };
+        render(<ResultModal challengeTitle="Easy" playerName="Ada" targetTime={1} remainingTime={50} ghost={ghost} />);
+
+        expect(screen.getByText(/Grace scored/).textContent).toBe("Grace scored 90 - you beat them!");
+    });
+
+    it("doesn't show a score for a voided round", () => {
+        render(<ResultModal challengeTitle="Easy" playerName="Ada" targetTime={1} remainingTime={500} voided />);
+
+        expect(screen.getByRole("heading").textContent).toBe("Round voided!");
+        expect(screen.queryByRole("button", { name: "Copy share link" })).toBeNull();
+    });
+});
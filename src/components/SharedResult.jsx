@@ -0,0 +1,49 @@
+import { useState } from "react";
+
+import TimerChallenge from "./TimerChallenge.jsx";
+import { describeChallengeVariant } from "../util/history.js";
+import { getMode } from "../util/modes.js";
+
+/*
+    A result that somebody shared with a link (see util/share.js)
+
+    The card is read-only - nothing of it is stored. "Try to beat this" starts the same challenge, with the friend's
+    result shown as a "ghost" target that the player tries to beat
+*/
+export default function SharedResult({ result, onLeave }) {
+    const [isChallengeStarted, setIsChallengeStarted] = useState(false);
+    const gameMode = getMode(result.mode);
+
+    return (
+        <section id="shared-result">
+            <article className="shared-result-card">
+                <h2>
+                    {result.playerName} scored {result.score}
+                </h2>
+                <p>{describeChallengeVariant(result)}</p>
+                {/* In the reverse mode, the stop time would give away the length of the tone */}
+                {!gameMode.playsTone && (
+                    <p>
+                        Stopped after <strong>{(result.stopTime / 1000).toFixed(2)} seconds</strong>
+                    </p>
+                )}
+                <p className="shared-result-actions">
+                    {!isChallengeStarted && <button onClick={() => setIsChallengeStarted(true)}>Try to beat this</button>}
+                    <button onClick={onLeave}>Back to the game</button>
+                </p>
+            </article>
+            {isChallengeStarted && (
+                <div id="challenges">
+                    <TimerChallenge
+                        title={result.challengeTitle}
+                        targetTime={result.targetTime}
+                        mode={result.mode}
+                        scoring={result.scoring}
+                        ghost={{ playerName: result.playerName, score: result.score, stopTime: result.stopTime }}
+                        isSelected
+                    />
+                </div>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,116 @@
+import { useContext, useState } from "react";
+
+import BiasBar from "./charts/BiasBar.jsx";
+import Histogram from "./charts/Histogram.jsx";
+import TrendChart from "./charts/TrendChart.jsx";
+import { GameHistoryContext } from "../store/game-history-context.jsx";
+import { describeChallengeVariant, getCountedRounds } from "../util/history.js";
+import { createHistogram, getBias, getError, getPlayerRanks, getTargetTimes, getTrend } from "../util/stats.js";
+
+const formatSeconds = (milliseconds) => `${(milliseconds / 1000).toFixed(2)}s`;
+
+export default function StatsDashboard() {
+    const { rounds: storedRounds } = useContext(GameHistoryContext);
+
+    // Voided rounds were never really played to the end, so they would only distort the statistics
+    const rounds = getCountedRounds(storedRounds);
+    const targetTimes = getTargetTimes(rounds);
+
+    // null means "the first target time" - so the dashboard still works after the selected target's rounds were deleted
+    const [selectedTargetTime, setSelectedTargetTime] = useState(null);
+    const [selectedPlayer, setSelectedPlayer] = useState("");
+
+    if (targetTimes.length === 0) {
+        return (
+            <section id="stats">
+                <h2>Statistics</h2>
+                <p>Finish a couple of rounds to see your statistics.</p>
+            </section>
+        );
+    }
+
+    const targetTime = targetTimes.includes(selectedTargetTime) ? selectedTargetTime : targetTimes[0];
+    const targetRounds = rounds.filter((round) => round.targetTime === targetTime);
+    const playerRanks = getPlayerRanks(targetRounds);
+
+    // A player has a row for every challenge variant they played, but only one entry in the player filter
+    const players = [...new Map(playerRanks.map((row) => [row.playerKey, row.playerName])).entries()];
+
+    // The charts can be narrowed down to one player, the percentile ranks always compare all players
+    const chartRounds = selectedPlayer ? targetRounds.filter((round) => (round.playerId ?? round.playerName) === selectedPlayer) : targetRounds;
+    const bias = getBias(chartRounds);
+
+    return (
+        <section id="stats">
+            <h2>Statistics</h2>
+            <div className="stats-filters">
+                <label>
+                    Target time
+                    <select value={targetTime} onChange={(event) => setSelectedTargetTime(Number(event.target.value))}>
+                        {targetTimes.map((time) => (
+                            <option key={time} value={time}>
+                                {time} second{time === 1 ? "" : "s"}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Player
+                    <select value={selectedPlayer} onChange={(event) => setSelectedPlayer(event.target.value)}>
+                        <option value="">All players</option>
+                        {players.map(([playerKey, playerName]) => (
+                            <option key={playerKey} value={playerKey}>
+                                {playerName}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            {chartRounds.length === 0 && <p>This player didn&apos;t play this target time yet.</p>}
+            {chartRounds.length > 0 && (
+                <div className="stats-charts">
+                    <figure>
+                        <figcaption>Error distribution</figcaption>
+                        <Histogram bins={createHistogram(chartRounds.map(getError))} label="Histogram of the stop errors" />
+                    </figure>
+                    <figure>
+                        <figcaption>Improvement over time</figcaption>
+                        <TrendChart points={getTrend(chartRounds)} label="Absolute error of every round and its moving average" />
+                    </figure>
+                    <figure>
+                        <figcaption>
+                            Early vs. late - on average <strong>{formatSeconds(Math.abs(bias.meanError))}</strong>{" "}
+                            {bias.meanError < 0 ? "too early" : "too late"}
+                        </figcaption>
+                        <BiasBar earlyShare={bias.earlyShare} lateShare={bias.lateShare} label="Share of rounds stopped too early and too late" />
+                    </figure>
+                </div>
+            )}
+            <h3>Percentile ranks</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Player</th>
+                        <th>Challenge</th>
+                        <th>Rounds</th>
+                        <th>Mean error</th>
+                        <th>Best</th>
+                        <th>Percentile</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {playerRanks.map((player) => (
+                        <tr key={player.key}>
+                            <td>{player.playerName}</td>
+                            <td>{describeChallengeVariant(player)}</td>
+                            <td>{player.played}</td>
+                            <td>{formatSeconds(player.meanAbsoluteError)}</td>
+                            <td>{player.bestScore}</td>
+                            <td>{player.percentile}%</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </section>
+    );
+}
@@ -1,8 +1,53 @@
-import { useRef, useState } from "react";
+import { forwardRef, useContext, useEffect, useId, useImperativeHandle, useRef, useState } from "react";
 
 import ResultModal from "./ResultModal";
+import useCountdown from "../hooks/useCountdown.js";
+import useInterruptions from "../hooks/useInterruptions.js";
+import useModal from "../hooks/useModal.js";
+import { CueContext } from "../store/cue-context.jsx";
+import { GameHistoryContext } from "../store/game-history-context.jsx";
+import { PlayerContext } from "../store/player-context.jsx";
+import { SettingsContext } from "../store/settings-context.jsx";
+import { TimerCoordinatorContext } from "../store/timer-coordinator-context.jsx";
+import { playTone } from "../util/audio.js";
+import { getCountedRounds } from "../util/history.js";
+import { DEFAULT_MODE, getMode } from "../util/modes.js";
+import { DEFAULT_SCORING } from "../util/scoring.js";
+import { systemClock } from "../util/timing.js";
+import { getCountdownOpacity, getRecentErrors, getRevealFraction } from "../util/training.js";
 
-export default function TimerChallenge({ title, targetTime }) {
+/*
+    - The clock prop lets tests drive the timer with a manual clock (see createManualClock in util/timing.js)
+    - onFinish(round) is called with the stored round as soon as the round ended (before the result modal opens)
+    - onComplete(round) is called with the stored round once the player closed the result modal
+    - isSelected highlights the challenge that the keyboard shortcuts currently control
+    - ghost ({ playerName, score, stopTime }) is a friend's shared result that the player tries to beat
+    - group puts the timer into a group of timers that may run at the same time (see the timer coordinator), by default
+      every timer is a group of its own, so starting it blocks all other challenges
+    - showsResult = false skips the result modal (e.g. the juggle shows one combined result for all of its timers)
+    - rotatesTurn = false keeps the turn with the current player after the result modal closed (e.g. a tournament is
+      played by one player, who hands over the turn once the whole tournament is over)
+
+    The component exposes a couple of methods through useImperativeHandle, so the keyboard shortcuts (see useChallengeShortcuts)
+    can start/stop it and move the focus to it without knowing about its JSX
+*/
+const TimerChallenge = forwardRef(function TimerChallenge(
+    {
+        title,
+        targetTime,
+        mode = DEFAULT_MODE,
+        scoring = DEFAULT_SCORING,
+        clock = systemClock,
+        onFinish,
+        onComplete,
+        isSelected = false,
+        ghost = null,
+        group,
+        showsResult = true,
+        rotatesTurn = true,
+    },
+    ref
+) {
     /*
         This fixes the issued explained in TimerChallenge_Without_useRef.jsx
 
@@ -11,108 +56,255 @@ export default function TimerChallenge({ title, targetTime }) {
 
         - similar to state, React stores these refs behind the scenes
         - but unlike state, the component does NOT re-render when ref is defined
+
+        NOTE: the timer ref now lives inside of the useCountdown hook (see below). Because hooks are called per component
+              instance, every TimerChallenge still gets its own dedicated timer!
     */
-    const timer = useRef();
 
-    /* 
-        NOTE: using forwardRef has one small potential flaw, the problem is that the TimerChallenge Component (which uses the ResultModal
-              component) in the end, needs to know that the dialog useRef will be attached to the <dialog> element in the ResultModal.
+    // Contexts
+    const { playerId, playerName, nextTurn } = useContext(PlayerContext);
+    const { rounds, addRound } = useContext(GameHistoryContext);
+    const { playCue } = useContext(CueContext);
+    const { settings } = useContext(SettingsContext);
+    const { claimTimer, releaseTimer, isBlocked } = useContext(TimerCoordinatorContext);
+    const { open: openModal } = useModal();
+
+    const gameMode = getMode(mode);
 
-              In this tiny demo application where we are the only develop working on it, this isn't a problem because we wrote this code and
-              we know what it does!
+    // Only used in the reverse mode: "idle" (tone not played yet), "playing" or "played"
+    const [tonePhase, setTonePhase] = useState("idle");
 
-              But let's imagine that this is a large codebase with multiple developers where us and the developers write multiple components.
-              We will be working with other components that other developers wrote and vice versa. If we always have to dive into those
-              components to understand how they work internally so that we use them correctly, and we call the dialog.current.showModal()
-              method, that can be a problem!
+    /*
+        The countdown itself is handled by the useCountdown hook, which measures the elapsed time with performance.now()
+        instead of counting interval ticks, so a throttled or busy tab can no longer distort the result
 
-              This is because another developer could change the ResultModal from a <dialog> to a <div> element making it so that .showModal()
-              will not work anymore!
+        In the modes that allow overshooting, the timer keeps running after the target time. It still needs to end at some
+        point though, so it expires at twice the target time (where the error is so large that the score is 0 anyway)
+    */
+    const { timeRemaining, isRunning: isTimerActive, isPaused, start, stop, pause, resume, reset } = useCountdown(targetTime, {
+        clock,
+        expireAfter: gameMode.allowsOvershoot ? targetTime * 2 : targetTime,
+        // We manually stop the timer if it expired/time runs out! Not just when the stop button is pressed
+        onExpire: (remainingTime) => finishRound(remainingTime),
+    });
 
-              Instead, we use the useImperativeHandle Hook in the ResultModal component to expose it's own function to be called by
-              the TimerChallenge component to open the modal
+    /*
+        Every finished round (stopped or expired) is stored in the game history before the result is shown
 
-              This will work independently of how the JSX code in the ResultModal might change in the future. So that the person working
-              on the ResultModal component can change it however they like AS LONG AS they keep one function that is exposed to the
-              TimerChallenge component which it calls to open the modal instead of dialog.current.showModal() on the internal <dialog>
-              element
+        NOTE: open() returns a promise that resolves once the result dialog was closed, so the rest of the round reads from
+              top to bottom: show the result, wait for the player, then get ready for the next round
     */
-    // We're using this ref to PROGRAMMATICALLY open the dialog
-    const dialog = useRef();
+    const finishRound = async (remainingTime, { voided = false } = {}) => {
+        const round = addRound({
+            playerId,
+            playerName,
+            challengeTitle: title,
+            targetTime,
+            remainingTime,
+            mode: gameMode.id,
+            scoring,
+            voided,
+        });
 
-    // States
-    const [timeRemaining, setTimeRemaining] = useState(targetTime * 1000);
+        // A voided round isn't lost, it just doesn't count - so there's nothing to cheer or to mourn
+        if (!voided) {
+            playCue(round.won ? "win" : "lose");
+        }
 
-    const isTimerActive = timeRemaining > 0 && timeRemaining < targetTime * 1000;
+        onFinish?.(round);
 
-    // We manually stop the timer if it expired/time runs out! Not just when the stop button is pressed
-    if (timeRemaining <= 0) {
-        clearInterval(timer.current);
-        dialog.current.open();
-    }
+        if (!showsResult) {
+            return;
+        }
+
+        await openModal(
+            <ResultModal
+                challengeTitle={title}
+                playerName={playerName}
+                targetTime={targetTime}
+                remainingTime={remainingTime}
+                mode={gameMode.id}
+                scoring={scoring}
+                ghost={ghost}
+                voided={voided}
+            />,
+            { className: "result-modal" }
+        );
+
+        reset();
+        setTonePhase("idle");
 
-    const handleReset = () => {
-        setTimeRemaining(targetTime * 1000);
+        onComplete?.(round);
+
+        // Closing the result modal ends the turn, so the next player of the roster is up
+        if (rotatesTurn) {
+            nextTurn();
+        }
     };
 
-    const handleStart = () => {
-        /*
-            RECALL: we need to use timer.current, we always must target this "current" property and set it equal to the timer
-            the "current" property will store this pointer at this "timer" returned by setTimeout/setInterval
+    /*
+        While the timer runs (or is paused), it holds the timer coordinator, so the challenges of other groups can't be
+        started. The cleanup releases it again when the round ends - or when the challenge is removed mid-round
+    */
+    const timerId = useId();
+    const timerGroup = group ?? timerId;
+    const isTimerBusy = isTimerActive || isPaused;
+    const isTimerBlocked = isBlocked(timerGroup);
+
+    useEffect(() => {
+        if (!isTimerBusy) {
+            return;
+        }
+
+        claimTimer(timerId, timerGroup);
+
+        return () => releaseTimer(timerId);
+    }, [isTimerBusy, timerId, timerGroup, claimTimer, releaseTimer]);
+
+    /*
+        Switching tabs (or clicking into another window) while the timer runs would ruin the round: the player can't see
+        the challenge anymore, and browsers throttle the timers of hidden tabs. Depending on the settings, the round is
+        either voided (it's stored, but doesn't count) or the timer is paused until the player resumes it
+    */
+    useInterruptions(isTimerActive, () => {
+        if (settings.interruptions === "pause") {
+            pause();
+            return;
+        }
+
+        finishRound(stop(), { voided: true });
+    });
+
+    /*
+        The optional metronome ticks once per second while the timer runs in the training mode (if the "tick" cue is enabled
+        in the settings)
+
+        NOTE: the ticks are only a training aid, so the interval may drift a little - the measured time does NOT depend on it.
+              In every other mode, counting the ticks would give the target time away, so they never tick
+    */
+    useEffect(() => {
+        if (!isTimerActive || !gameMode.showsCountdown) {
+            return;
+        }
 
-            NOTE: setTimeout doesn't let us know how much time is left when the timer is stopped, so we need to use setInterval!
-            setInterval will execute the callback function everytime the time expires, while setTimout only execute the function
-            once after the time expires
+        const metronome = setInterval(() => playCue("tick"), 1000);
+
+        return () => clearInterval(metronome);
+    }, [isTimerActive, gameMode.showsCountdown, playCue]);
+
+    const handlePlayTone = async () => {
+        setTonePhase("playing");
+        await playTone(targetTime);
+        setTonePhase("played");
+    };
 
-            We don't want to set the targetTime as a time, but a very short duration so that we can keep track of how much time expired!
-            Therefore, we execute this function every 10 milliseconds
+    const handleStart = () => {
+        /*
+            NOTE: setTimeout doesn't let us know how much time is left when the timer is stopped, and counting setInterval ticks
+            drifts when ticks arrive late. The useCountdown hook remembers when the timer started and asks the clock how much
+            time has elapsed instead (the interval inside of the hook is only used to refresh the UI)
         */
-        const millisecondsElapsed = 10;
-        timer.current = setInterval(() => {
-            setTimeRemaining((prevTimeRemaining) => prevTimeRemaining - millisecondsElapsed);
-        }, millisecondsElapsed);
+        start();
+        playCue("start");
     };
 
     const handleStop = () => {
-        // JavaScript's clearInterval() function is used to stop a timer,
-        // but it needs a pointer (the id) to that timer
-        //
-        // Because we're using useRef, we clear the timer using timer.current
-        clearInterval(timer.current);
-        dialog.current.open();
+        // stop() returns the exact remaining time at the moment the button was clicked
+        finishRound(stop());
     };
 
-    return (
-        /*
-            When you open the Developer Tools and look at the code in the "Elements" tab, you see the ResultModal component's dialog element
-            is nested inside the "challenge" section
+    // In the reverse mode, the tone has to be played before the challenge can be started
+    // This ref is connected to the start/stop button, so the focus can be moved to it
+    const button = useRef();
+
+    let buttonCaption = isTimerActive ? "Stop Challenge" : "Start Challenge";
+    let handleButtonClick = isTimerActive ? handleStop : handleStart;
 
-            Visually, there's nothing wrong with this, but technically, it would make more sense if the overlay element (which visually sits
-            on top of the entire page) is located DIRECTLY inside the body, or maybe inside a div with an id of "modal"
+    if (isPaused) {
+        buttonCaption = "Resume Challenge";
+        handleButtonClick = resume;
+    } else if (gameMode.playsTone && !isTimerActive && tonePhase !== "played") {
+        buttonCaption = tonePhase === "playing" ? "Listen..." : "Play Tone";
+        handleButtonClick = handlePlayTone;
+    }
 
-            It makes sense to have a dialog on a higher level because that would map it's visual appearence because that would map it's visual
-            appearence to its location in the HTML structure
+    useImperativeHandle(ref, () => {
+        return {
+            // Does the same as clicking the button (a disabled button can't be clicked either)
+            toggle() {
+                if (!button.current.disabled) {
+                    handleButtonClick();
+                }
+            },
+            focus() {
+                button.current.focus();
+            },
+        };
+    });
 
-            This can be better for accessibility reasons and can help you avoid styling problems and conflicts (especially for deeply nested
-            elements)
+    // In the training mode, the player's recent errors decide how long the countdown stays visible
+    const recentErrors = gameMode.showsCountdown ? getRecentErrors(getCountedRounds(rounds), { playerId, playerName, targetTime }) : [];
+    const revealFraction = gameMode.showsCountdown ? getRevealFraction(recentErrors) : 0;
+    const countdownOpacity = getCountdownOpacity(1 - timeRemaining / (targetTime * 1000), revealFraction);
 
-            We want output the ResultModal component in the TimerChallenge component, but we want to move its JSX code to go somewhere else
-            in our the page
+    // The blind mode never shows whether the timer is running
+    const showsIndicator = isTimerActive && !gameMode.hidesIndicator;
+    let statusText = showsIndicator ? "Time is running..." : "Timer inactive";
 
-            We can do this using Portals from the React DOM Library!
-        */
-        <>
-            <ResultModal ref={dialog} targetTime={targetTime} remainingTime={timeRemaining} onReset={handleReset} />
-            <section className="challenge">
-                <h2>{title}</h2>
-                <p className="challenge-time">
-                    {targetTime} second{targetTime > 1 ? "s" : ""}
+    if (gameMode.hidesIndicator) {
+        statusText = "Blind mode - you're on your own";
+    }
+
+    if (isPaused) {
+        statusText = "Paused - resume when you're ready";
+    }
+
+    if (isTimerBlocked) {
+        statusText = "Another challenge is running";
+    }
+
+    return (
+        <section className={`challenge${isSelected ? " selected" : ""}${isTimerBlocked ? " blocked" : ""}`} aria-label={`${title} challenge`}>
+            <h2>{title}</h2>
+            {/* In the reverse mode the length of the tone is the secret the player has to figure out */}
+            <p className="challenge-time">
+                {gameMode.playsTone ? "??? seconds" : `${targetTime} second${targetTime === 1 ? "" : "s"}`}
+            </p>
+            {gameMode.id !== DEFAULT_MODE && (
+                <p className="challenge-mode" title={gameMode.description}>
+                    {gameMode.label} mode
                 </p>
-                <p>
-                    <button onClick={isTimerActive ? handleStop : handleStart}>{isTimerActive ? "Stop" : "Start"} Challenge</button>
+            )}
+            {gameMode.showsCountdown && (
+                <p className="training-countdown">
+                    {/* The countdown only helps the eyes, screen readers would just be flooded with updates */}
+                    <span aria-hidden="true" style={{ opacity: isTimerActive || isPaused ? countdownOpacity : 1 }}>
+                        {(Math.max(0, timeRemaining) / 1000).toFixed(2)}
+                    </span>
+                    <small>Visible for the first {Math.round(revealFraction * 100)}% of the run</small>
                 </p>
-                <p className={isTimerActive ? "active" : ""}>{isTimerActive ? "Time is running..." : "Timer inactive"}</p>
-            </section>
-        </>
+            )}
+            {ghost && (
+                <p className="challenge-ghost">
+                    Ghost: {ghost.playerName} scored {ghost.score}
+                    {/* In the reverse mode, the stop time would give away the length of the tone */}
+                    {!gameMode.playsTone && ` (stopped after ${(ghost.stopTime / 1000).toFixed(2)}s)`}
+                </p>
+            )}
+            <p>
+                <button ref={button} onClick={handleButtonClick} disabled={tonePhase === "playing" || isTimerBlocked}>
+                    {buttonCaption}
+                </button>
+            </p>
+            {/*
+                role="status" turns this paragraph into a (polite) ARIA live region: screen readers announce the new text
+                whenever the timer starts or stops, without moving the focus away from the button
+            */}
+            <p className={showsIndicator ? "active" : ""} role="status" aria-live="polite">
+                {statusText}
+            </p>
+        </section>
     );
-}
+});
+
+export default TimerChallenge;
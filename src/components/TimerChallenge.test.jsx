@@ -0,0 +1,182 @@
+import { act, fireEvent, screen } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import Player from "./Player.jsx";
+import TimerChallenge from "./TimerChallenge.jsx";
+import { renderWithProviders } from "../test/render-with-providers.jsx";
+import { SETTINGS_STORAGE_KEY } from "../util/settings.js";
+import { createManualClock } from "../util/timing.js";
+
+/*
+    The timer measures the time with the clock and only uses its interval to refresh the UI (see useCountdown), so the
+    tests move BOTH forward: the manual clock for the measured time, and the fake timers for the interval ticks.
+    Doing it in small steps keeps the two in sync, just like in a real browser.
+*/
+function advanceTime(clock, milliseconds, step = 10) {
+    act(() => {
+        for (let elapsed = 0; elapsed < milliseconds; elapsed += step) {
+            clock.advance(step);
+            vi.advanceTimersByTime(step);
+        }
+    });
+}
+
+function renderChallenge(props = {}) {
+    const clock = createManualClock();
+    const handleFinish = vi.fn();
+    const handleComplete = vi.fn();
+
+    const result = renderWithProviders(
+        <TimerChallenge title="Quick" targetTime={2} clock={clock} onFinish={handleFinish} onComplete={handleComplete} {...props} />
+    );
+
+    return { ...result, clock, handleFinish, handleComplete };
+}
+
+const getButton = (name) => screen.getByRole("button", { name });
+
+describe("TimerChallenge", () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("starts the timer", () => {
+        const { cueBackend } = renderChallenge();
+
+        fireEvent.click(getButton("Start Challenge"));
+
+        expect(screen.getByRole("status").textContent).toBe("Time is running...");
+        expect(getButton("Stop Challenge")).toBeTruthy();
+        expect(cueBackend.playedCueIds()).toEqual(["start"]);
+    });
+
+    it("scores the exact time at which the player stopped", () => {
+        const { clock, handleFinish } = renderChallenge();
+
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(clock, 1500);
+
+        // The stop happens between two interval ticks - the score must not depend on them
+        act(() => clock.advance(4));
+        fireEvent.click(getButton("Stop Challenge"));
+
+        expect(handleFinish).toHaveBeenCalledTimes(1);
+        expect(handleFinish.mock.calls[0][0]).toMatchObject({ remainingTime: 496, score: 75, won: true });
+        expect(screen.getByRole("dialog", { name: "Your score: 75!" }).textContent).toContain("0.50 seconds left");
+    });
+
+    it("gives 0 points for an instant stop", () => {
+        const { handleFinish } = renderChallenge();
+
+        fireEvent.click(getButton("Start Challenge"));
+        fireEvent.click(getButton("Stop Challenge"));
+
+        expect(handleFinish.mock.calls[0][0]).toMatchObject({ remainingTime: 2000, score: 0, won: true });
+        expect(screen.getByRole("dialog", { name: "Your score: 0!" })).toBeTruthy();
+    });
+
+    it("is lost once the timer expired with exactly zero remaining", () => {
+        const { clock, handleFinish, cueBackend } = renderChallenge();
+
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(clock, 1990);
+        expect(handleFinish).not.toHaveBeenCalled();
+
+        advanceTime(clock, 10);
+
+        expect(handleFinish).toHaveBeenCalledTimes(1);
+        expect(handleFinish.mock.calls[0][0]).toMatchObject({ remainingTime: 0, score: 0, won: false });
+        expect(screen.getByRole("dialog", { name: "You lost!" })).toBeTruthy();
+        expect(cueBackend.playedCueIds()).toEqual(["start", "lose"]);
+    });
+
+    it("is ready for the next round once the result was closed", async () => {
+        const { clock, handleComplete } = renderChallenge();
+
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(clock, 1000);
+        fireEvent.click(getButton("Stop Challenge"));
+
+        expect(handleComplete).not.toHaveBeenCalled();
+
+        await act(async () => {
+            fireEvent.click(getButton("CLOSE"));
+        });
+
+        expect(screen.queryByRole("dialog")).toBeNull();
+        expect(handleComplete).toHaveBeenCalledWith(expect.objectContaining({ score: 50 }));
+        expect(getButton("Start Challenge")).toBeTruthy();
+        expect(screen.getByRole("status").textContent).toBe("Timer inactive");
+    });
+
+    it("voids the round when the player leaves the game", () => {
+        const { clock, handleFinish, cueBackend } = renderChallenge();
+
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(clock, 1900);
+        fireEvent.blur(window);
+
+        expect(handleFinish.mock.calls[0][0]).toMatchObject({ score: 0, won: false, voided: true });
+        expect(screen.getByRole("dialog", { name: "Round voided!" })).toBeTruthy();
+        expect(cueBackend.playedCueIds()).toEqual(["start"]);
+    });
+
+    it("keeps running after the target time in the overshoot mode", () => {
+        const { clock, handleFinish } = renderChallenge({ mode: "overshoot" });
+
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(clock, 2500);
+        expect(handleFinish).not.toHaveBeenCalled();
+
+        fireEvent.click(getButton("Stop Challenge"));
+
+        expect(handleFinish.mock.calls[0][0]).toMatchObject({ remainingTime: -500, score: 75, won: true });
+    });
+
+    it("only ticks the metronome in the training mode", () => {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ cues: { tick: { enabled: true, volume: 0.3 } } }));
+
+        const classic = renderChallenge();
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(classic.clock, 1500);
+        expect(classic.cueBackend.playedCueIds()).toEqual(["start"]);
+        classic.unmount();
+
+        const training = renderChallenge({ mode: "training" });
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(training.clock, 1500);
+        expect(training.cueBackend.playedCueIds()).toEqual(["start", "tick"]);
+    });
+
+    it.each([
+        { rotatesTurn: true, nextPlayer: "Grace" },
+        { rotatesTurn: false, nextPlayer: "Ada" },
+    ])("hands the turn to $nextPlayer after the result when rotatesTurn is $rotatesTurn", async ({ rotatesTurn, nextPlayer }) => {
+        const clock = createManualClock();
+        renderWithProviders(
+            <>
+                <Player />
+                <TimerChallenge title="Quick" targetTime={2} clock={clock} rotatesTurn={rotatesTurn} />
+            </>
+        );
+
+        for (const name of ["Ada", "Grace"]) {
+            fireEvent.change(screen.getByRole("textbox", { name: "Player name" }), { target: { value: name } });
+            fireEvent.click(getButton("Add Player"));
+        }
+
+        fireEvent.click(getButton("Start Challenge"));
+        advanceTime(clock, 1000);
+        fireEvent.click(getButton("Stop Challenge"));
+
+        await act(async () => {
+            fireEvent.click(getButton("CLOSE"));
+        });
+
+        expect(screen.getByRole("heading", { level: 2, name: /Welcome/ }).textContent).toContain(`Welcome ${nextPlayer}`);
+    });
+});
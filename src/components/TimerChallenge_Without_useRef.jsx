@@ -1,5 +1,7 @@
 import { useState } from "react";
 
+import { createStopwatch } from "../util/timing.js";
+
 /*
     Now the "let timer" variable, will retain it's value becase it's NOT being re-rendered inside of the component function!
 
@@ -18,9 +20,13 @@ import { useState } from "react";
 */
 let timer;
 
+// The stopwatch from the timing engine measures the exact elapsed time (it has the same "shared variable" problem as timer!)
+const stopwatch = createStopwatch();
+
 export default function TimerChallenge({ title, targetTime }) {
     const [didTimerStart, setDidTimerStart] = useState(false);
     const [isTimerExpired, setIsTimerExpired] = useState(false);
+    const [elapsedTime, setElapsedTime] = useState(null);
 
     /*
         Problem: the timer keeps running and prints "You lost" even when you press the Stop Challenge button
@@ -46,8 +52,11 @@ export default function TimerChallenge({ title, targetTime }) {
             setIsTimerExpired(true);
         }, targetTime * 1000);
 
+        stopwatch.start();
+
         // We set didTimerStart to true when this function is executed
         setDidTimerStart(true);
+        setElapsedTime(null);
     };
 
     const handleStop = () => {
@@ -55,6 +64,7 @@ export default function TimerChallenge({ title, targetTime }) {
         // but it needs a pointer (the id) to that timer
         clearTimeout(timer);
 
+        setElapsedTime(stopwatch.stop());
         setDidTimerStart(false);
         setIsTimerExpired(false);
     };
@@ -63,6 +73,7 @@ export default function TimerChallenge({ title, targetTime }) {
         <section className="challenge">
             <h2>{title}</h2>
             {isTimerExpired && <p>You lost</p>}
+            {elapsedTime !== null && <p>You stopped after {(elapsedTime / 1000).toFixed(2)} seconds</p>}
             <p className="challenge-time">
                 {targetTime} second{targetTime > 1 ? "s" : ""}
             </p>
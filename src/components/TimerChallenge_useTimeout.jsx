@@ -1,6 +1,8 @@
 import { useRef, useState } from "react";
 
 import ResultModal from "./ResultModal";
+import useModal from "../hooks/useModal.js";
+import { createStopwatch } from "../util/timing.js";
 
 export default function TimerChallenge({ title, targetTime }) {
     /*
@@ -14,36 +16,26 @@ export default function TimerChallenge({ title, targetTime }) {
     */
     const timer = useRef();
 
-    /* 
-        NOTE: using forwardRef has one small potential flaw, the problem is that the TimerChallenge Component (which uses the ResultModal
-              component) in the end, needs to know that the dialog useRef will be attached to the <dialog> element in the ResultModal.
-
-              In this tiny demo application where we are the only develop working on it, this isn't a problem because we wrote this code and
-              we know what it does!
-
-              But let's imagine that this is a large codebase with multiple developers where us and the developers write multiple components.
-              We will be working with other components that other developers wrote and vice versa. If we always have to dive into those
-              components to understand how they work internally so that we use them correctly, and we call the dialog.current.showModal()
-              method, that can be a problem!
-
-              This is because another developer could change the ResultModal from a <dialog> to a <div> element making it so that .showModal()
-              will not work anymore!
-
-              Instead, we use the useImperativeHandle Hook in the ResultModal component to expose it's own function to be called by
-              the TimerChallenge component to open the modal
-
-              This will work independently of how the JSX code in the ResultModal might change in the future. So that the person working
-              on the ResultModal component can change it however they like AS LONG AS they keep one function that is exposed to the
-              TimerChallenge component which it calls to open the modal instead of dialog.current.showModal() on the internal <dialog>
-              element
+    /*
+        NOTE: this version used to open the ResultModal through a ref and a method exposed with useImperativeHandle.
+              The dialogs are handled by the modal manager now (see store/modal-context.jsx), so we just hand it the
+              content - it doesn't matter to us whether the ResultModal uses a <dialog> or a <div> internally
     */
-    // We're using this ref to PROGRAMMATICALLY open the dialog
-    const dialog = useRef();
+    const { open: openModal } = useModal();
+
+    // The stopwatch from the timing engine measures how long the timer really ran (setTimeout can't tell us that)
+    const stopwatch = useRef(createStopwatch());
 
     // States
     const [didTimerStart, setDidTimerStart] = useState(false);
     const [isTimerExpired, setIsTimerExpired] = useState(false);
 
+    // Shows the result and resets the challenge once the player closed the dialog
+    const showResult = async (remainingTime) => {
+        await openModal(<ResultModal targetTime={targetTime} remainingTime={remainingTime} />, { className: "result-modal" });
+        handleReset();
+    };
+
     const handleStart = () => {
         /*
             setTimeout() is used to set a timer in JavaScript
@@ -54,23 +46,19 @@ export default function TimerChallenge({ title, targetTime }) {
         */
         timer.current = setTimeout(() => {
             // After the delay, we set isTimerExpired to true
+            const remainingTime = targetTime * 1000 - stopwatch.current.stop();
             setDidTimerStart(false);
             setIsTimerExpired(true);
-
-            // The TimerChallenge component dialog component is no longer attached to the <dialog> element in the ResultModal component
-            // Instead, it refers to the object defined inside of the useImperativeHandle hook!
-            // It calls the "open()" method in the object defined inside of the useImperativeHande hook
-            dialog.current.open();
+            showResult(remainingTime);
         }, targetTime * 1000);
 
         /*
-            NOTE: setTimeout doesn't let us know how much time is left when the timer is stopped, so we need to use setInterval!
-            setInterval will execute the function everytime the time expires (setTimout only execute the function once after the time expires)
+            NOTE: setTimeout doesn't let us know how much time is left when the timer is stopped!
 
-            We don't want to set the targetTime as a time, but a very sort duration so that we can keep track of how much time expired!
-            Therefore, we execute this function every 10 milliseconds
+            Counting setInterval ticks doesn't work reliably either (ticks arrive late when the tab is busy or throttled), so
+            we start a stopwatch instead. It asks performance.now() for the exact elapsed time when the timer is stopped
         */
-        timer.current = setInterval(() => {}, 10);
+        stopwatch.current.start();
 
         // We set didTimerStart to true when this function is executed
         setDidTimerStart(true);
@@ -83,23 +71,27 @@ export default function TimerChallenge({ title, targetTime }) {
         // Because we're using useRef, we clear the timer using timer.current
         clearTimeout(timer.current);
 
+        const remainingTime = targetTime * 1000 - stopwatch.current.stop();
         setDidTimerStart(false);
         setIsTimerExpired(false);
+        showResult(remainingTime);
+    };
+
+    const handleReset = () => {
+        stopwatch.current.reset();
+        setIsTimerExpired(false);
     };
 
     return (
-        <>
-            <ResultModal ref={dialog} targetTime={targetTime} result="lost" />
-            <section className="challenge">
-                <h2>{title}</h2>
-                <p className="challenge-time">
-                    {targetTime} second{targetTime > 1 ? "s" : ""}
-                </p>
-                <p>
-                    <button onClick={didTimerStart ? handleStop : handleStart}>{didTimerStart ? "Stop" : "Start"} Challenge</button>
-                </p>
-                <p className={didTimerStart ? "active" : ""}>{didTimerStart ? "Time is running..." : "Timer inactive"}</p>
-            </section>
-        </>
+        <section className="challenge">
+            <h2>{title}</h2>
+            <p className="challenge-time">
+                {targetTime} second{targetTime > 1 ? "s" : ""}
+            </p>
+            <p>
+                <button onClick={didTimerStart ? handleStop : handleStart}>{didTimerStart ? "Stop" : "Start"} Challenge</button>
+            </p>
+            <p className={didTimerStart ? "active" : ""}>{didTimerStart ? "Time is running..." : "Timer inactive"}</p>
+        </section>
     );
 }
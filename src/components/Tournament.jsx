@@ -0,0 +1,125 @@
+import { useContext, useRef, useState } from "react";
+
+import TimerChallenge from "./TimerChallenge.jsx";
+import TournamentSummaryModal from "./TournamentSummaryModal.jsx";
+import useChallengeShortcuts from "../hooks/useChallengeShortcuts.js";
+import useModal from "../hooks/useModal.js";
+import { ChallengeCatalogContext } from "../store/challenge-catalog-context.jsx";
+import { PlayerContext } from "../store/player-context.jsx";
+import { SCORING_STRATEGIES } from "../util/scoring.js";
+import { DEFAULT_TOURNAMENT_ROUNDS, MAX_TOURNAMENT_ROUNDS, createTournamentPlan, summarizeTournament } from "../util/tournament.js";
+
+// In a tournament the selected challenge never changes
+const keepSelection = () => {};
+
+export default function Tournament() {
+    const { challenges } = useContext(ChallengeCatalogContext);
+    const { nextTurn } = useContext(PlayerContext);
+
+    const { open: openModal } = useModal();
+
+    // There is only one challenge per round, so the shortcuts always control the first (and only) one
+    const challengeRefs = useRef([]);
+    useChallengeShortcuts(challengeRefs, 0, keepSelection);
+
+    const [roundCount, setRoundCount] = useState(DEFAULT_TOURNAMENT_ROUNDS);
+
+    // An empty string keeps the scoring strategy of every challenge, otherwise all rounds use the picked strategy
+    const [scoring, setScoring] = useState("");
+
+    // plan is null while no tournament is running, results holds the stored round of every finished round
+    const [plan, setPlan] = useState(null);
+    const [results, setResults] = useState([]);
+
+    const currentRoundIndex = results.length;
+    const isFinished = plan !== null && currentRoundIndex === plan.length;
+    const runningTotal = results.reduce((sum, round) => sum + round.score, 0);
+
+    const handleStartTournament = (event) => {
+        event.preventDefault();
+        setResults([]);
+        setPlan(createTournamentPlan(challenges, roundCount));
+    };
+
+    // Called by the TimerChallenge once the player closed the result modal of a round
+    const handleRoundComplete = async (round) => {
+        const updatedResults = [...results, round];
+        setResults(updatedResults);
+
+        if (updatedResults.length === plan.length) {
+            await openModal(<TournamentSummaryModal summary={summarizeTournament(updatedResults)} />, {
+                className: "result-modal tournament-summary",
+            });
+            setPlan(null);
+            setResults([]);
+
+            // All rounds of a tournament are played by the same player, the turn only moves on once it's over
+            nextTurn();
+        }
+    };
+
+    if (challenges.length === 0) {
+        return (
+            <section id="tournament">
+                <h2>Tournament</h2>
+                <p>Add some challenges in the settings first!</p>
+            </section>
+        );
+    }
+
+    return (
+        <section id="tournament">
+            <h2>Tournament</h2>
+            {plan === null && (
+                <form className="tournament-setup" onSubmit={handleStartTournament}>
+                    <label>
+                        Rounds
+                        <input
+                            type="number"
+                            min={1}
+                            max={MAX_TOURNAMENT_ROUNDS}
+                            value={roundCount}
+                            onChange={(event) => setRoundCount(Math.min(MAX_TOURNAMENT_ROUNDS, Math.max(1, Number(event.target.value))))}
+                        />
+                    </label>
+                    <label>
+                        Scoring
+                        <select value={scoring} onChange={(event) => setScoring(event.target.value)}>
+                            <option value="">Per challenge</option>
+                            {SCORING_STRATEGIES.map((strategy) => (
+                                <option key={strategy.id} value={strategy.id} title={strategy.description}>
+                                    {strategy.label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <button>Start Tournament</button>
+                </form>
+            )}
+            {plan !== null && (
+                <>
+                    <p className="tournament-progress">
+                        Round <strong>{Math.min(currentRoundIndex + 1, plan.length)}</strong> of {plan.length} - total score{" "}
+                        <strong>{runningTotal}</strong>
+                    </p>
+                    {!isFinished && (
+                        <div id="challenges">
+                            {/* The round index is part of the key, so every round starts with a fresh TimerChallenge */}
+                            <TimerChallenge
+                                key={currentRoundIndex}
+                                ref={(timerChallenge) => (challengeRefs.current[0] = timerChallenge)}
+                                title={plan[currentRoundIndex].title}
+                                targetTime={plan[currentRoundIndex].targetTime}
+                                mode={plan[currentRoundIndex].mode}
+                                scoring={scoring || plan[currentRoundIndex].scoring}
+                                onComplete={handleRoundComplete}
+                                rotatesTurn={false}
+                                isSelected
+                            />
+                        </div>
+                    )}
+                </>
+            )}
+        </section>
+    );
+}
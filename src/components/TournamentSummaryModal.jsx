@@ -0,0 +1,56 @@
+import { getMode } from "../util/modes.js";
+
+const formatSeconds = (milliseconds) => (milliseconds / 1000).toFixed(2);
+
+// The content of the final summary dialog of a tournament (opened through the modal manager, just like the ResultModal)
+export default function TournamentSummaryModal({ summary }) {
+    return (
+        <>
+            <h2>Grade {summary.grade}</h2>
+            <p>
+                {/* Every round of a tournament is played by the same player (the turn only moves on afterwards) */}
+                {summary.rounds.length > 0 && `${summary.rounds[0].playerName} - `}
+                Total score: <strong>{summary.totalScore}</strong> in {summary.rounds.length} rounds
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Challenge</th>
+                        <th>Error</th>
+                        <th>Score</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {summary.rounds.map((round, index) => (
+                        <tr key={round.id}>
+                            <td>{index + 1}</td>
+                            <td>
+                                {round.challengeTitle} ({round.targetTime}s, {getMode(round.mode).label})
+                            </td>
+                            {/* A positive error means the player stopped too late */}
+                            {round.errorTime === null ? (
+                                <td>voided</td>
+                            ) : (
+                                <td>
+                                    {round.errorTime > 0 ? "+" : ""}
+                                    {formatSeconds(round.errorTime)}s
+                                </td>
+                            )}
+                            <td>{round.score}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <p>
+                Mean absolute error: <strong>{formatSeconds(summary.meanAbsoluteError)} seconds</strong>
+            </p>
+            <p>
+                Consistency (standard deviation): <strong>{formatSeconds(summary.standardDeviation)} seconds</strong>
+            </p>
+            <form method="dialog">
+                <button data-autofocus>CLOSE</button>
+            </form>
+        </>
+    );
+}
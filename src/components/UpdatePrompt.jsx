@@ -0,0 +1,41 @@
+import { useContext } from "react";
+import { useRegisterSW } from "virtual:pwa-register/react";
+
+import { TimerCoordinatorContext } from "../store/timer-coordinator-context.jsx";
+
+/*
+    Registers the service worker (see vite.config.js) and tells the player when the app is ready to be played offline
+    and when a new version was deployed
+
+    The new version is only activated once the player agrees, because activating it reloads the page. That's why the
+    update button is disabled while a timer runs - a reload would throw the round away
+*/
+export default function UpdatePrompt() {
+    const {
+        needRefresh: [needRefresh, setNeedRefresh],
+        offlineReady: [offlineReady, setOfflineReady],
+        updateServiceWorker,
+    } = useRegisterSW();
+    const { activeGroup } = useContext(TimerCoordinatorContext);
+
+    if (!needRefresh && !offlineReady) {
+        return null;
+    }
+
+    const handleDismiss = () => {
+        setNeedRefresh(false);
+        setOfflineReady(false);
+    };
+
+    return (
+        <div className="update-prompt" role="status">
+            <p>{needRefresh ? "A new version is available!" : "Ready to play offline!"}</p>
+            {needRefresh && (
+                <button onClick={() => updateServiceWorker(true)} disabled={activeGroup !== null}>
+                    Update now
+                </button>
+            )}
+            <button onClick={handleDismiss}>{needRefresh ? "Later" : "OK"}</button>
+        </div>
+    );
+}
@@ -0,0 +1,22 @@
+const WIDTH = 400;
+const HEIGHT = 48;
+
+// A single stacked bar: the share of rounds stopped too early (left) and too late (right)
+export default function BiasBar({ earlyShare, lateShare, label }) {
+    const earlyWidth = earlyShare * WIDTH;
+    const lateWidth = lateShare * WIDTH;
+
+    return (
+        <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={label}>
+            <rect className="chart-track" x={0} y={8} width={WIDTH} height={20} rx={4} />
+            <rect className="chart-bar" x={0} y={8} width={earlyWidth} height={20} rx={4} />
+            <rect className="chart-bar chart-bar-late" x={WIDTH - lateWidth} y={8} width={lateWidth} height={20} rx={4} />
+            <text className="chart-label" x={0} y={44}>
+                {Math.round(earlyShare * 100)}% too early
+            </text>
+            <text className="chart-label" x={WIDTH} y={44} textAnchor="end">
+                {Math.round(lateShare * 100)}% too late
+            </text>
+        </svg>
+    );
+}
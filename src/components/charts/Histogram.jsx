@@ -0,0 +1,60 @@
+const WIDTH = 400;
+const HEIGHT = 180;
+const PADDING = 24;
+
+const formatSeconds = (milliseconds) => `${(milliseconds / 1000).toFixed(2)}s`;
+
+/*
+    A bar chart of the error distribution
+
+    The chart is a plain SVG with a fixed viewBox - the browser scales it to the available width, so we can calculate
+    all positions in "viewBox units" and never need to measure the DOM
+*/
+export default function Histogram({ bins, label }) {
+    const maxCount = Math.max(1, ...bins.map((bin) => bin.count));
+    const barWidth = (WIDTH - PADDING * 2) / Math.max(1, bins.length);
+    const chartHeight = HEIGHT - PADDING * 2;
+
+    // The x position of an error of exactly 0ms (if it is inside the range of the bins)
+    const first = bins[0];
+    const last = bins[bins.length - 1];
+    const zeroX = first && first.from <= 0 && last.to >= 0 ? PADDING + ((0 - first.from) / (last.to - first.from)) * (WIDTH - PADDING * 2) : null;
+
+    return (
+        <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={label}>
+            {bins.map((bin, index) => {
+                const barHeight = (bin.count / maxCount) * chartHeight;
+
+                return (
+                    <rect
+                        key={index}
+                        className="chart-bar"
+                        x={PADDING + index * barWidth + 1}
+                        y={PADDING + chartHeight - barHeight}
+                        width={Math.max(0, barWidth - 2)}
+                        height={barHeight}
+                    >
+                        <title>
+                            {formatSeconds(bin.from)} to {formatSeconds(bin.to)}: {bin.count} round{bin.count === 1 ? "" : "s"}
+                        </title>
+                    </rect>
+                );
+            })}
+            {zeroX !== null && <line className="chart-marker" x1={zeroX} x2={zeroX} y1={PADDING - 8} y2={HEIGHT - PADDING} />}
+            <line className="chart-axis" x1={PADDING} x2={WIDTH - PADDING} y1={HEIGHT - PADDING} y2={HEIGHT - PADDING} />
+            {first && (
+                <>
+                    <text className="chart-label" x={PADDING} y={HEIGHT - 6}>
+                        {formatSeconds(first.from)}
+                    </text>
+                    <text className="chart-label" x={WIDTH - PADDING} y={HEIGHT - 6} textAnchor="end">
+                        {formatSeconds(last.to)}
+                    </text>
+                </>
+            )}
+            <text className="chart-label" x={PADDING} y={PADDING - 10}>
+                {maxCount} round{maxCount === 1 ? "" : "s"}
+            </text>
+        </svg>
+    );
+}
@@ -0,0 +1,45 @@
+const WIDTH = 400;
+const HEIGHT = 180;
+const PADDING = 24;
+
+const formatSeconds = (milliseconds) => `${(milliseconds / 1000).toFixed(2)}s`;
+
+// Turns a list of [x, y] points into the "d" attribute of an SVG path
+const toPath = (points) => points.map(([x, y], index) => `${index === 0 ? "M" : "L"}${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+
+/*
+    The absolute error of every round (dots) and its moving average (line), in chronological order
+
+    A line that goes DOWN means the player is improving
+*/
+export default function TrendChart({ points, label }) {
+    const maxError = Math.max(1, ...points.map((point) => point.absoluteError));
+    const chartWidth = WIDTH - PADDING * 2;
+    const chartHeight = HEIGHT - PADDING * 2;
+
+    const x = (index) => PADDING + (points.length === 1 ? chartWidth / 2 : (index / (points.length - 1)) * chartWidth);
+    const y = (error) => PADDING + chartHeight - (error / maxError) * chartHeight;
+
+    return (
+        <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={label}>
+            <line className="chart-axis" x1={PADDING} x2={WIDTH - PADDING} y1={HEIGHT - PADDING} y2={HEIGHT - PADDING} />
+            {points.map((point, index) => (
+                <circle key={index} className="chart-dot" cx={x(index)} cy={y(point.absoluteError)} r={3}>
+                    <title>
+                        {new Date(point.timestamp).toLocaleString()}: off by {formatSeconds(point.absoluteError)}
+                    </title>
+                </circle>
+            ))}
+            <path className="chart-line" d={toPath(points.map((point, index) => [x(index), y(point.movingAverage)]))} />
+            <text className="chart-label" x={PADDING} y={PADDING - 10}>
+                {formatSeconds(maxError)}
+            </text>
+            <text className="chart-label" x={PADDING} y={HEIGHT - 6}>
+                oldest
+            </text>
+            <text className="chart-label" x={WIDTH - PADDING} y={HEIGHT - 6} textAnchor="end">
+                latest
+            </text>
+        </svg>
+    );
+}
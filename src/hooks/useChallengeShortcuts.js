@@ -0,0 +1,60 @@
+import { useEffect } from "react";
+
+// Shortcuts are ignored while the player types into a form field or while a dialog is open
+function shouldIgnoreShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+        return true;
+    }
+
+    if (event.target.closest?.("input, textarea, select, [contenteditable='true']")) {
+        return true;
+    }
+
+    return document.querySelector("dialog[open]") !== null;
+}
+
+/*
+    Global keyboard shortcuts for the challenges
+
+    - the number keys 1 to 9 select the matching challenge (and move the focus to its button)
+    - Space starts or stops the selected challenge
+
+    challengeRefs is a ref holding an array of TimerChallenge refs (see the toggle() and focus() methods they expose).
+    If a button already has the focus, Space is left alone, because the browser "clicks" the focused button anyway.
+*/
+export default function useChallengeShortcuts(challengeRefs, selectedIndex, onSelect) {
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (shouldIgnoreShortcut(event)) {
+                return;
+            }
+
+            if (/^[1-9]$/.test(event.key)) {
+                const index = Number(event.key) - 1;
+                const challenge = challengeRefs.current[index];
+
+                if (challenge) {
+                    event.preventDefault();
+                    onSelect(index);
+                    challenge.focus();
+                }
+
+                return;
+            }
+
+            if (event.key === " " && !event.target.closest?.("button, a")) {
+                const challenge = challengeRefs.current[selectedIndex];
+
+                if (challenge) {
+                    // Otherwise Space would scroll the page
+                    event.preventDefault();
+                    challenge.toggle();
+                }
+            }
+        };
+
+        window.addEventListener("keydown", handleKeyDown);
+
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [challengeRefs, selectedIndex, onSelect]);
+}
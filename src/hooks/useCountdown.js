@@ -0,0 +1,111 @@
+import { useEffect, useRef, useState } from "react";
+
+import { createStopwatch, systemClock } from "../util/timing.js";
+
+/*
+    A countdown from targetTime (in seconds) that is built on the stopwatch from util/timing.js
+
+    - timeRemaining is only refreshed every tickInterval milliseconds for the UI
+    - stop() returns the EXACT remaining time at the moment it is called (measured with the clock, not with ticks)
+    - onExpire(remainingTime) is called once the countdown ran out
+    - pause() freezes the countdown (isRunning becomes false, isPaused true) until resume() is called
+
+    By default the countdown expires at the target time. With expireAfter (in seconds) it can keep running for longer,
+    timeRemaining then simply becomes negative once the target time has passed.
+*/
+export default function useCountdown(targetTime, { clock = systemClock, tickInterval = 10, expireAfter = targetTime, onExpire } = {}) {
+    const targetMilliseconds = targetTime * 1000;
+    const expireMilliseconds = expireAfter * 1000;
+
+    // The stopwatch and the interval pointer must survive re-renders, so they are stored in refs
+    const stopwatch = useRef(null);
+    const interval = useRef();
+
+    // We always call the latest onExpire callback, even though the interval was created during an older render
+    const expireHandler = useRef(onExpire);
+    expireHandler.current = onExpire;
+
+    if (stopwatch.current === null) {
+        stopwatch.current = createStopwatch(clock);
+    }
+
+    const [timeRemaining, setTimeRemaining] = useState(targetMilliseconds);
+    const [isRunning, setIsRunning] = useState(false);
+    const [isPaused, setIsPaused] = useState(false);
+
+    // Clear the interval if the component is removed while the countdown is running
+    useEffect(() => {
+        return () => clearInterval(interval.current);
+    }, []);
+
+    // Refreshes the UI until the countdown expires (used when the countdown starts and when it resumes)
+    const startInterval = () => {
+        clearInterval(interval.current);
+
+        interval.current = setInterval(() => {
+            const remainingTime = targetMilliseconds - stopwatch.current.elapsed();
+
+            if (remainingTime <= targetMilliseconds - expireMilliseconds) {
+                clearInterval(interval.current);
+                stopwatch.current.stop();
+                setTimeRemaining(remainingTime);
+                setIsRunning(false);
+                expireHandler.current?.(remainingTime);
+                return;
+            }
+
+            setTimeRemaining(remainingTime);
+        }, tickInterval);
+    };
+
+    const start = () => {
+        stopwatch.current.start();
+        setTimeRemaining(targetMilliseconds);
+        setIsRunning(true);
+        setIsPaused(false);
+        startInterval();
+    };
+
+    const pause = () => {
+        if (!stopwatch.current.isRunning()) {
+            return;
+        }
+
+        clearInterval(interval.current);
+        setTimeRemaining(targetMilliseconds - stopwatch.current.pause());
+        setIsRunning(false);
+        setIsPaused(true);
+    };
+
+    const resume = () => {
+        if (!stopwatch.current.isPaused()) {
+            return;
+        }
+
+        stopwatch.current.resume();
+        setIsRunning(true);
+        setIsPaused(false);
+        startInterval();
+    };
+
+    const stop = () => {
+        clearInterval(interval.current);
+        const remainingTime = targetMilliseconds - stopwatch.current.stop();
+
+        setTimeRemaining(remainingTime);
+        setIsRunning(false);
+        setIsPaused(false);
+
+        return remainingTime;
+    };
+
+    const reset = () => {
+        clearInterval(interval.current);
+        stopwatch.current.reset();
+        setTimeRemaining(targetMilliseconds);
+        setIsRunning(false);
+        setIsPaused(false);
+    };
+
+    return { timeRemaining, isRunning, isPaused, start, stop, pause, resume, reset };
+}
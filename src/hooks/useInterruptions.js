@@ -0,0 +1,47 @@
+import { useEffect, useRef } from "react";
+
+/*
+    Calls onInterrupt(reason) when the player leaves the game while isActive is true
+
+    - "hidden": the tab was switched or the window was minimized (visibilitychange) - browsers also throttle the timers
+      of hidden tabs, so the countdown on screen would stop updating
+    - "blur": the window lost the focus (e.g. the player clicked into another window)
+
+    Leaving usually fires both events, so only the first one is reported. The handler is expected to pause or stop the
+    timer (which sets isActive to false), and the next interruption is reported once the timer is active again
+*/
+export default function useInterruptions(isActive, onInterrupt) {
+    // We always call the latest callback, without re-registering the listeners on every render
+    const interruptHandler = useRef(onInterrupt);
+    interruptHandler.current = onInterrupt;
+
+    useEffect(() => {
+        if (!isActive) {
+            return;
+        }
+
+        let isInterrupted = false;
+
+        const interrupt = (reason) => {
+            if (!isInterrupted) {
+                isInterrupted = true;
+                interruptHandler.current(reason);
+            }
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === "hidden") {
+                interrupt("hidden");
+            }
+        };
+        const handleBlur = () => interrupt("blur");
+
+        document.addEventListener("visibilitychange", handleVisibilityChange);
+        window.addEventListener("blur", handleBlur);
+
+        return () => {
+            document.removeEventListener("visibilitychange", handleVisibilityChange);
+            window.removeEventListener("blur", handleBlur);
+        };
+    }, [isActive]);
+}
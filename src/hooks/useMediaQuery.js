@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+
+/*
+    Returns true while the media query matches, e.g. useMediaQuery("(prefers-color-scheme: light)")
+
+    We listen for changes, so toggling the OS setting takes effect without a reload. Browsers without matchMedia
+    (and tests) simply get false
+*/
+export default function useMediaQuery(query) {
+    const [matches, setMatches] = useState(() => window.matchMedia?.(query).matches ?? false);
+
+    useEffect(() => {
+        const mediaQuery = window.matchMedia?.(query);
+
+        if (!mediaQuery) {
+            return;
+        }
+
+        // The query might have changed since the first render
+        setMatches(mediaQuery.matches);
+
+        const handleChange = (event) => setMatches(event.matches);
+        mediaQuery.addEventListener("change", handleChange);
+
+        return () => mediaQuery.removeEventListener("change", handleChange);
+    }, [query]);
+
+    return matches;
+}
@@ -0,0 +1,14 @@
+import { useContext } from "react";
+
+import { ModalContext } from "../store/modal-context.jsx";
+
+// Gives access to the modal manager: { open, closeAll, confirm } (see store/modal-context.jsx)
+export default function useModal() {
+    const modalContext = useContext(ModalContext);
+
+    if (!modalContext) {
+        throw new Error("useModal() must be used inside of a ModalContextProvider.");
+    }
+
+    return modalContext;
+}
@@ -0,0 +1,20 @@
+import { useContext } from "react";
+
+import useMediaQuery from "./useMediaQuery.js";
+import { SettingsContext } from "../store/settings-context.jsx";
+
+/*
+    Returns true if animations should be turned off
+
+    With the "system" setting we follow the operating system's prefers-reduced-motion preference
+*/
+export default function useReducedMotion() {
+    const { settings } = useContext(SettingsContext);
+    const prefersReducedMotion = useMediaQuery("(prefers-reduced-motion: reduce)");
+
+    if (settings.reducedMotion === "system") {
+        return prefersReducedMotion;
+    }
+
+    return settings.reducedMotion === "reduce";
+}
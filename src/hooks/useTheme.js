@@ -0,0 +1,14 @@
+import { useContext } from "react";
+
+import useMediaQuery from "./useMediaQuery.js";
+import { SettingsContext } from "../store/settings-context.jsx";
+import { resolveTheme } from "../util/themes.js";
+
+// Returns the id of the theme that should be shown: "dark", "light" or "high-contrast"
+export default function useTheme() {
+    const { settings } = useContext(SettingsContext);
+    const prefersLight = useMediaQuery("(prefers-color-scheme: light)");
+    const prefersMoreContrast = useMediaQuery("(prefers-contrast: more)");
+
+    return resolveTheme(settings.theme, { prefersLight, prefersMoreContrast });
+}
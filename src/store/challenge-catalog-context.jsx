@@ -0,0 +1,72 @@
+import { createContext, useEffect, useReducer } from "react";
+
+import { createId } from "../util/id.js";
+import { DEFAULT_CHALLENGES, loadCatalog, normalizeChallenge, saveCatalog } from "../util/catalog.js";
+
+export const ChallengeCatalogContext = createContext({
+    challenges: [],
+    addChallenge: () => {},
+    updateChallenge: () => {},
+    removeChallenge: () => {},
+    moveChallenge: () => {},
+    replaceChallenges: () => {},
+    restoreDefaultChallenges: () => {},
+});
+
+function catalogReducer(state, action) {
+    if (action.type === "ADD_CHALLENGE") {
+        return [...state, normalizeChallenge({ ...action.payload, id: createId() })];
+    }
+
+    if (action.type === "UPDATE_CHALLENGE") {
+        return state.map((challenge) =>
+            challenge.id === action.payload.id ? normalizeChallenge({ ...challenge, ...action.payload.changes }) : challenge
+        );
+    }
+
+    if (action.type === "REMOVE_CHALLENGE") {
+        return state.filter((challenge) => challenge.id !== action.payload);
+    }
+
+    if (action.type === "MOVE_CHALLENGE") {
+        const { id, offset } = action.payload;
+        const index = state.findIndex((challenge) => challenge.id === id);
+        const newIndex = index + offset;
+
+        if (index === -1 || newIndex < 0 || newIndex >= state.length) {
+            return state;
+        }
+
+        const updatedChallenges = [...state];
+        const [movedChallenge] = updatedChallenges.splice(index, 1);
+        updatedChallenges.splice(newIndex, 0, movedChallenge);
+        return updatedChallenges;
+    }
+
+    if (action.type === "REPLACE_CHALLENGES") {
+        return action.payload;
+    }
+
+    return state;
+}
+
+export default function ChallengeCatalogContextProvider({ children }) {
+    const [challenges, dispatch] = useReducer(catalogReducer, undefined, loadCatalog);
+
+    useEffect(() => {
+        saveCatalog(challenges);
+    }, [challenges]);
+
+    const contextValue = {
+        challenges,
+        addChallenge: (challenge) => dispatch({ type: "ADD_CHALLENGE", payload: challenge }),
+        updateChallenge: (id, changes) => dispatch({ type: "UPDATE_CHALLENGE", payload: { id, changes } }),
+        removeChallenge: (id) => dispatch({ type: "REMOVE_CHALLENGE", payload: id }),
+        // offset -1 moves a challenge one position up, offset 1 moves it one position down
+        moveChallenge: (id, offset) => dispatch({ type: "MOVE_CHALLENGE", payload: { id, offset } }),
+        replaceChallenges: (newChallenges) => dispatch({ type: "REPLACE_CHALLENGES", payload: newChallenges }),
+        restoreDefaultChallenges: () => dispatch({ type: "REPLACE_CHALLENGES", payload: DEFAULT_CHALLENGES }),
+    };
+
+    return <ChallengeCatalogContext.Provider value={contextValue}>{children}</ChallengeCatalogContext.Provider>;
+}
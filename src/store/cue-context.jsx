@@ -0,0 +1,30 @@
+import { createContext, useContext, useMemo, useRef } from "react";
+
+import { SettingsContext } from "./settings-context.jsx";
+import { createCuePlayer, createWebAudioBackend } from "../util/cues.js";
+
+export const CueContext = createContext({
+    playCue: () => false,
+});
+
+/*
+    Provides playCue(cueId) to the whole app
+
+    The backend prop makes the audio replaceable: the app uses Web Audio, tests can pass a recording backend
+    (see createRecordingBackend in util/cues.js) and check which cues fired
+*/
+export default function CueContextProvider({ backend, children }) {
+    const { settings } = useContext(SettingsContext);
+
+    // The cue player reads the settings through a ref, so it always uses the latest settings without being recreated
+    const latestSettings = useRef(settings);
+    latestSettings.current = settings;
+
+    const cuePlayer = useMemo(() => createCuePlayer(backend ?? createWebAudioBackend(), () => latestSettings.current), [backend]);
+
+    const contextValue = {
+        playCue: cuePlayer.play,
+    };
+
+    return <CueContext.Provider value={contextValue}>{children}</CueContext.Provider>;
+}
@@ -0,0 +1,80 @@
+import { createContext, useEffect, useReducer } from "react";
+
+import { createRound, filterRounds, loadRounds, renamePlayerInRounds, saveRounds } from "../util/history.js";
+
+/*
+    The history of all finished rounds is needed by the challenges (which add rounds) AND by the leaderboard
+    (which reads them), so instead of passing it through props we share it with a context
+
+    The default value is only used if a component is rendered outside of the provider, but it also gives us
+    auto-completion for the shape of the context value
+*/
+export const GameHistoryContext = createContext({
+    rounds: [],
+    addRound: () => {},
+    clearRounds: () => {},
+    renamePlayer: () => {},
+    replaceRounds: () => {},
+});
+
+function historyReducer(state, action) {
+    if (action.type === "ADD_ROUND") {
+        return [...state, action.payload];
+    }
+
+    if (action.type === "CLEAR_ROUNDS") {
+        const roundsToClear = new Set(filterRounds(state, action.payload).map((round) => round.id));
+        return state.filter((round) => !roundsToClear.has(round.id));
+    }
+
+    if (action.type === "RENAME_PLAYER") {
+        return renamePlayerInRounds(state, action.payload);
+    }
+
+    if (action.type === "REPLACE_ROUNDS") {
+        return action.payload;
+    }
+
+    return state;
+}
+
+export default function GameHistoryContextProvider({ children }) {
+    // The third argument of useReducer lazily creates the initial state, so localStorage is only read once
+    const [rounds, dispatch] = useReducer(historyReducer, undefined, loadRounds);
+
+    // Every time the history changes, we persist it so it survives a page reload
+    useEffect(() => {
+        saveRounds(rounds);
+    }, [rounds]);
+
+    const handleAddRound = (roundData) => {
+        const round = createRound(roundData);
+        dispatch({ type: "ADD_ROUND", payload: round });
+        return round;
+    };
+
+    // Removes all rounds matching the filter (an empty filter removes everything)
+    const handleClearRounds = (filter = {}) => {
+        dispatch({ type: "CLEAR_ROUNDS", payload: filter });
+    };
+
+    // Called together with the roster's renamePlayer, see Player.jsx
+    const handleRenamePlayer = ({ playerId, previousName, name }) => {
+        dispatch({ type: "RENAME_PLAYER", payload: { playerId, previousName, name } });
+    };
+
+    // Used by the import of a backup, which merges the imported rounds with the existing ones (see util/backup.js)
+    const handleReplaceRounds = (rounds) => {
+        dispatch({ type: "REPLACE_ROUNDS", payload: rounds });
+    };
+
+    const contextValue = {
+        rounds,
+        addRound: handleAddRound,
+        clearRounds: handleClearRounds,
+        renamePlayer: handleRenamePlayer,
+        replaceRounds: handleReplaceRounds,
+    };
+
+    return <GameHistoryContext.Provider value={contextValue}>{children}</GameHistoryContext.Provider>;
+}
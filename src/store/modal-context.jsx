@@ -0,0 +1,78 @@
+import { createContext, useRef, useState } from "react";
+
+import ConfirmDialog from "../components/ConfirmDialog.jsx";
+import Modal from "../components/Modal.jsx";
+
+/*
+    The modal manager
+
+    Any component can open a dialog with open(content, options), which returns a promise that resolves with the
+    dialog's return value once it closes. Dialogs can be stacked - a confirmation can open on top of another dialog,
+    and the browser keeps the last opened one on top.
+
+    - content is either JSX or a function ({ close }) => JSX, where close(value) closes the dialog with that value
+    - options: { className, closeOnEscape = true, closeOnBackdrop = true }
+      (Escape and backdrop clicks close the dialog with an undefined return value)
+
+    NOTE: the content is rendered from what was passed to open(), so it's a snapshot - it does NOT re-render when the
+          state of the component that opened it changes. Pass everything the dialog needs when opening it.
+*/
+export const ModalContext = createContext(null);
+
+export default function ModalContextProvider({ children }) {
+    const [modals, setModals] = useState([]);
+
+    // Every open() call gets its own id, so we know which dialog to close (and which promise to resolve)
+    const nextModalId = useRef(0);
+
+    // NOTE: the promises are resolved outside of the state updater functions - updaters must not have side effects,
+    //       StrictMode calls them twice to find the ones that do
+    const handleClose = (id, value) => {
+        modals.find((modal) => modal.id === id)?.resolve(value);
+        setModals((prevModals) => prevModals.filter((prevModal) => prevModal.id !== id));
+    };
+
+    const handleOpen = (content, options = {}) => {
+        const id = nextModalId.current++;
+
+        return new Promise((resolve) => {
+            setModals((prevModals) => [...prevModals, { id, content, options, resolve }]);
+        });
+    };
+
+    // Only the dialogs that were resolved are removed, a dialog opened in the meantime stays open
+    const handleCloseAll = () => {
+        const closedIds = new Set(modals.map((modal) => modal.id));
+        modals.forEach((modal) => modal.resolve(undefined));
+        setModals((prevModals) => prevModals.filter((prevModal) => !closedIds.has(prevModal.id)));
+    };
+
+    // A ready-made yes/no dialog: resolves to true if the player confirmed and to false otherwise
+    const handleConfirm = async (message, { title = "Are you sure?", confirmLabel = "Yes", cancelLabel = "Cancel" } = {}) => {
+        const content = <ConfirmDialog title={title} message={message} confirmLabel={confirmLabel} cancelLabel={cancelLabel} />;
+        const value = await handleOpen(content, {
+            className: "confirm-dialog",
+            // A confirmation should be a conscious decision, so a stray click next to the dialog doesn't count
+            closeOnBackdrop: false,
+        });
+
+        return value === "confirm";
+    };
+
+    const contextValue = {
+        open: handleOpen,
+        closeAll: handleCloseAll,
+        confirm: handleConfirm,
+    };
+
+    return (
+        <ModalContext.Provider value={contextValue}>
+            {children}
+            {modals.map(({ id, content, options }) => (
+                <Modal key={id} {...options} onClose={(value) => handleClose(id, value)}>
+                    {typeof content === "function" ? content({ close: (value) => handleClose(id, value) }) : content}
+                </Modal>
+            ))}
+        </ModalContext.Provider>
+    );
+}
@@ -0,0 +1,79 @@
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { StrictMode, useContext } from "react";
+import { describe, expect, it } from "vitest";
+
+import ModalContextProvider, { ModalContext } from "./modal-context.jsx";
+
+// Exposes the modal manager to the test
+function renderModalManager() {
+    const manager = {};
+
+    function Consumer() {
+        Object.assign(manager, useContext(ModalContext));
+        return null;
+    }
+
+    render(
+        <StrictMode>
+            <ModalContextProvider>
+                <Consumer />
+            </ModalContextProvider>
+        </StrictMode>
+    );
+
+    return manager;
+}
+
+describe("ModalContextProvider", () => {
+    it("resolves open() with the value the dialog was closed with", async () => {
+        const manager = renderModalManager();
+        let result;
+
+        act(() => {
+            manager.open(({ close }) => <button onClick={() => close("done")}>Done</button>).then((value) => (result = value));
+        });
+
+        await act(async () => {
+            fireEvent.click(screen.getByRole("button", { name: "Done" }));
+        });
+
+        expect(result).toBe("done");
+        expect(screen.queryByRole("dialog")).toBeNull();
+    });
+
+    it("resolves confirm() with false when it was cancelled", async () => {
+        const manager = renderModalManager();
+        let result;
+
+        act(() => {
+            manager.confirm("Delete everything?").then((value) => (result = value));
+        });
+
+        expect(screen.getByRole("dialog", { name: "Are you sure?" })).toBeTruthy();
+
+        await act(async () => {
+            fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+        });
+
+        expect(result).toBe(false);
+    });
+
+    it("closes every open dialog with closeAll()", async () => {
+        const manager = renderModalManager();
+        const results = [];
+
+        act(() => {
+            manager.open("First").then((value) => results.push(value));
+            manager.open("Second").then((value) => results.push(value));
+        });
+
+        expect(screen.getAllByRole("dialog")).toHaveLength(2);
+
+        await act(async () => {
+            manager.closeAll();
+        });
+
+        expect(results).toEqual([undefined, undefined]);
+        expect(screen.queryByRole("dialog")).toBeNull();
+    });
+});
@@ -0,0 +1,100 @@
+import { createContext, useEffect, useReducer } from "react";
+
+import { ANONYMOUS_PLAYER_NAME, createPlayer, getNextPlayerId, loadRoster, renamePlayer, saveRoster } from "../util/players.js";
+
+/*
+    The roster of all players who take turns on this device (hot-seat multiplayer)
+
+    Every finished round needs to know who played it, so the roster lives in a context that both the Player component
+    and the challenges can read. playerId and playerName always describe the player whose turn it currently is.
+*/
+export const PlayerContext = createContext({
+    players: [],
+    playerId: null,
+    playerName: ANONYMOUS_PLAYER_NAME,
+    addPlayer: () => {},
+    renamePlayer: () => {},
+    removePlayer: () => {},
+    replacePlayers: () => {},
+    setActivePlayer: () => {},
+    nextTurn: () => {},
+});
+
+function rosterReducer(state, action) {
+    if (action.type === "ADD_PLAYER") {
+        const player = createPlayer(action.payload);
+
+        // The first player who joins gets the first turn
+        return {
+            players: [...state.players, player],
+            activePlayerId: state.activePlayerId ?? player.id,
+        };
+    }
+
+    if (action.type === "RENAME_PLAYER") {
+        const { id, name } = action.payload;
+
+        return {
+            ...state,
+            players: state.players.map((player) => (player.id === id ? renamePlayer(player, name) : player)),
+        };
+    }
+
+    if (action.type === "REMOVE_PLAYER") {
+        const players = state.players.filter((player) => player.id !== action.payload);
+        let activePlayerId = state.activePlayerId;
+
+        // If the active player leaves, it's the next player's turn
+        if (activePlayerId === action.payload) {
+            activePlayerId = players.length > 0 ? getNextPlayerId(state.players, action.payload) : null;
+        }
+
+        return { players, activePlayerId };
+    }
+
+    if (action.type === "REPLACE_PLAYERS") {
+        const players = action.payload;
+
+        // The active player keeps their turn, unless they are no longer part of the roster
+        const activePlayerId = players.some((player) => player.id === state.activePlayerId)
+            ? state.activePlayerId
+            : (players[0]?.id ?? null);
+
+        return { players, activePlayerId };
+    }
+
+    if (action.type === "SET_ACTIVE_PLAYER") {
+        return { ...state, activePlayerId: action.payload };
+    }
+
+    if (action.type === "NEXT_TURN") {
+        return { ...state, activePlayerId: getNextPlayerId(state.players, state.activePlayerId) };
+    }
+
+    return state;
+}
+
+export default function PlayerContextProvider({ children }) {
+    const [roster, dispatch] = useReducer(rosterReducer, undefined, loadRoster);
+
+    useEffect(() => {
+        saveRoster(roster);
+    }, [roster]);
+
+    const activePlayer = roster.players.find((player) => player.id === roster.activePlayerId);
+
+    const contextValue = {
+        players: roster.players,
+        playerId: activePlayer?.id ?? null,
+        playerName: activePlayer?.name ?? ANONYMOUS_PLAYER_NAME,
+        // The names are validated by the forms (see validatePlayerName in util/players.js) before they get here
+        addPlayer: (name) => dispatch({ type: "ADD_PLAYER", payload: name }),
+        renamePlayer: (id, name) => dispatch({ type: "RENAME_PLAYER", payload: { id, name } }),
+        removePlayer: (id) => dispatch({ type: "REMOVE_PLAYER", payload: id }),
+        replacePlayers: (players) => dispatch({ type: "REPLACE_PLAYERS", payload: players }),
+        setActivePlayer: (id) => dispatch({ type: "SET_ACTIVE_PLAYER", payload: id }),
+        nextTurn: () => dispatch({ type: "NEXT_TURN" }),
+    };
+
+    return <PlayerContext.Provider value={contextValue}>{children}</PlayerContext.Provider>;
+}
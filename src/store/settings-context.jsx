@@ -0,0 +1,28 @@
+import { createContext, useEffect, useState } from "react";
+
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from "../util/settings.js";
+
+export const SettingsContext = createContext({
+    settings: DEFAULT_SETTINGS,
+    updateSettings: () => {},
+});
+
+export default function SettingsContextProvider({ children }) {
+    const [settings, setSettings] = useState(loadSettings);
+
+    useEffect(() => {
+        saveSettings(settings);
+    }, [settings]);
+
+    // Only the changed settings need to be passed in, e.g. updateSettings({ reducedMotion: "reduce" })
+    const handleUpdateSettings = (changes) => {
+        setSettings((prevSettings) => ({ ...prevSettings, ...changes }));
+    };
+
+    const contextValue = {
+        settings,
+        updateSettings: handleUpdateSettings,
+    };
+
+    return <SettingsContext.Provider value={contextValue}>{children}</SettingsContext.Provider>;
+}
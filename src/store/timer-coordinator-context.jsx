@@ -0,0 +1,72 @@
+import { createContext, useMemo, useReducer } from "react";
+
+/*
+    The timer coordinator makes sure only one challenge runs at a time
+
+    Every running timer claims the coordinator with its id and its group. While a group holds the coordinator, the timers
+    of all other groups are blocked (their start button is disabled). A normal challenge is a group of its own, so
+    starting it blocks everything else - the juggle puts all of its timers into one group, so they can run side by side.
+
+    A paused timer keeps its claim, because its round isn't over yet
+*/
+export const TimerCoordinatorContext = createContext({
+    activeGroup: null,
+    claimTimer: () => {},
+    releaseTimer: () => {},
+    isBlocked: () => false,
+});
+
+const INITIAL_STATE = {
+    activeGroup: null,
+    timerIds: [],
+};
+
+function coordinatorReducer(state, action) {
+    if (action.type === "CLAIM") {
+        const { timerId, group } = action.payload;
+
+        // Another group got there first - this can only happen if two timers are started within the same render
+        if (state.activeGroup !== null && state.activeGroup !== group) {
+            return state;
+        }
+
+        return {
+            activeGroup: group,
+            timerIds: state.timerIds.includes(timerId) ? state.timerIds : [...state.timerIds, timerId],
+        };
+    }
+
+    if (action.type === "RELEASE") {
+        const timerIds = state.timerIds.filter((timerId) => timerId !== action.payload);
+
+        // The last timer of the group released the coordinator, so every challenge can be started again
+        return timerIds.length === 0 ? INITIAL_STATE : { ...state, timerIds };
+    }
+
+    return state;
+}
+
+export default function TimerCoordinatorContextProvider({ children }) {
+    const [coordinator, dispatch] = useReducer(coordinatorReducer, INITIAL_STATE);
+
+    /*
+        The timers claim and release the coordinator inside of an effect, so these two functions must not change between
+        renders (otherwise every render would release and claim again). dispatch never changes, so we create them once
+    */
+    const { handleClaimTimer, handleReleaseTimer } = useMemo(
+        () => ({
+            handleClaimTimer: (timerId, group) => dispatch({ type: "CLAIM", payload: { timerId, group } }),
+            handleReleaseTimer: (timerId) => dispatch({ type: "RELEASE", payload: timerId }),
+        }),
+        []
+    );
+
+    const contextValue = {
+        activeGroup: coordinator.activeGroup,
+        claimTimer: handleClaimTimer,
+        releaseTimer: handleReleaseTimer,
+        isBlocked: (group) => coordinator.activeGroup !== null && coordinator.activeGroup !== group,
+    };
+
+    return <TimerCoordinatorContext.Provider value={contextValue}>{children}</TimerCoordinatorContext.Provider>;
+}
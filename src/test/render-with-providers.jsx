@@ -0,0 +1,35 @@
+import { render } from "@testing-library/react";
+
+import CueContextProvider from "../store/cue-context.jsx";
+import GameHistoryContextProvider from "../store/game-history-context.jsx";
+import ModalContextProvider from "../store/modal-context.jsx";
+import PlayerContextProvider from "../store/player-context.jsx";
+import SettingsContextProvider from "../store/settings-context.jsx";
+import TimerCoordinatorContextProvider from "../store/timer-coordinator-context.jsx";
+import { createRecordingBackend } from "../util/cues.js";
+
+/*
+    Renders a component inside of the same providers as the App (see App.jsx), so it can use every context
+
+    The cues are played by a recording backend, so the tests stay silent and can check which cues fired.
+    Returns everything render() returns, plus the cue backend.
+*/
+export function renderWithProviders(ui) {
+    const cueBackend = createRecordingBackend();
+
+    const result = render(
+        <SettingsContextProvider>
+            <CueContextProvider backend={cueBackend}>
+                <PlayerContextProvider>
+                    <GameHistoryContextProvider>
+                        <ModalContextProvider>
+                            <TimerCoordinatorContextProvider>{ui}</TimerCoordinatorContextProvider>
+                        </ModalContextProvider>
+                    </GameHistoryContextProvider>
+                </PlayerContextProvider>
+            </CueContextProvider>
+        </SettingsContextProvider>
+    );
+
+    return { ...result, cueBackend };
+}
@@ -0,0 +1,43 @@
+import { cleanup } from "@testing-library/react";
+import { afterEach } from "vitest";
+
+/*
+    Runs before every test file (see the test section in vite.config.js)
+
+    jsdom doesn't implement <dialog> yet, so we add the small part of it that the Modal component relies on:
+    showModal()/close() toggle the open attribute, and close() fires the "close" event with the return value.
+    A submitted <form method="dialog"> closes its dialog with the value of the clicked button, just like in a browser.
+*/
+if (!HTMLDialogElement.prototype.showModal) {
+    HTMLDialogElement.prototype.showModal = function showModal() {
+        this.open = true;
+    };
+
+    HTMLDialogElement.prototype.close = function close(returnValue) {
+        if (!this.open) {
+            return;
+        }
+
+        if (returnValue !== undefined) {
+            this.returnValue = returnValue;
+        }
+
+        this.open = false;
+        this.dispatchEvent(new Event("close"));
+    };
+
+    document.addEventListener("submit", (event) => {
+        if (event.target.getAttribute("method") !== "dialog") {
+            return;
+        }
+
+        event.preventDefault();
+        event.target.closest("dialog")?.close(event.submitter?.value ?? "");
+    });
+}
+
+// Every test starts with an empty page and empty storage (the contexts load their state from localStorage)
+afterEach(() => {
+    cleanup();
+    localStorage.clear();
+});
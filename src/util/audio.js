@@ -0,0 +1,70 @@
+/*
+    Web Audio helpers
+
+    Browsers only allow audio after a user interaction, and creating lots of AudioContexts is expensive, so we create
+    a single context lazily (the first time a sound is played, which is always in response to a click)
+*/
+let audioContext = null;
+
+export function getAudioContext() {
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+
+    if (!AudioContextClass) {
+        return null;
+    }
+
+    if (audioContext === null) {
+        audioContext = new AudioContextClass();
+    }
+
+    // A context created before the first user interaction starts "suspended"
+    // If the browser refuses to resume it (e.g. autoplay is blocked), the game simply stays silent
+    if (audioContext.state === "suspended") {
+        audioContext.resume().catch(() => {});
+    }
+
+    return audioContext;
+}
+
+/*
+    Plays a tone for the given duration (in seconds), optionally starting after a delay (also in seconds)
+
+    Returns a promise that resolves once the tone ended. If the browser doesn't support Web Audio, we resolve after
+    the same duration anyway, so the game flow still works (just silently).
+
+    NOTE: a context that stays suspended (e.g. autoplay is blocked) never moves its currentTime forward, so the
+          oscillator never ends. That's why the same timeout also runs next to the oscillator - whichever comes first
+          resolves the promise, otherwise the reverse mode would wait for the tone forever
+*/
+export function playTone(duration, { frequency = 440, volume = 0.3, type = "sine", delay = 0 } = {}) {
+    const context = getAudioContext();
+
+    const waitForDuration = () => new Promise((resolve) => setTimeout(resolve, (delay + duration) * 1000));
+
+    if (context === null) {
+        return waitForDuration();
+    }
+
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const startTime = context.currentTime + delay;
+
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+
+    // Short fade in and out, otherwise the tone starts and ends with an audible "click"
+    gain.gain.setValueAtTime(0, startTime);
+    gain.gain.linearRampToValueAtTime(volume, startTime + 0.01);
+    gain.gain.setValueAtTime(volume, startTime + duration - 0.01);
+    gain.gain.linearRampToValueAtTime(0, startTime + duration);
+
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(startTime);
+    oscillator.stop(startTime + duration);
+
+    const toneEnded = new Promise((resolve) => {
+        oscillator.onended = resolve;
+    });
+
+    return Promise.race([toneEnded, waitForDuration()]);
+}
@@ -0,0 +1,44 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { playTone } from "./audio.js";
+
+// A context that the browser refuses to resume: its time stands still, so no oscillator ever ends
+class BlockedAudioContext {
+    state = "suspended";
+    currentTime = 0;
+    destination = {};
+
+    resume() {
+        return Promise.reject(new Error("Autoplay is blocked"));
+    }
+
+    createOscillator() {
+        return { frequency: {}, connect: (node) => node, start() {}, stop() {} };
+    }
+
+    createGain() {
+        const param = { setValueAtTime() {}, linearRampToValueAtTime() {} };
+        return { gain: param, connect: (node) => node };
+    }
+}
+
+describe("playTone", () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        delete window.AudioContext;
+    });
+
+    it("resolves after the duration of the tone even if the audio context stays suspended", async () => {
+        vi.useFakeTimers();
+        window.AudioContext = BlockedAudioContext;
+
+        let hasEnded = false;
+        playTone(2, { delay: 0.5 }).then(() => (hasEnded = true));
+
+        await vi.advanceTimersByTimeAsync(2499);
+        expect(hasEnded).toBe(false);
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(hasEnded).toBe(true);
+    });
+});
@@ -0,0 +1,325 @@
+import { normalizeChallenge, validateChallenge } from "./catalog.js";
+import { DEFAULT_MODE, isKnownMode } from "./modes.js";
+import { validatePlayerName } from "./players.js";
+import { DEFAULT_SCORING, isKnownScoring } from "./scoring.js";
+
+/*
+    Export and import of all game data: the rounds, the players and the challenges
+
+    The JSON backup is versioned, so files written by older versions of the game can still be imported:
+    - version 1: the challenge packs of the challenge settings (see exportCatalog) - they only contain challenges
+    - version 2: complete backups with rounds, players and challenges
+
+    Unlike the challenge packs, backups keep the ids of everything, so importing the same backup twice (or the backup of
+    another device that shares some history with this one) doesn't duplicate anything.
+*/
+export const BACKUP_FORMAT = "almost-final-countdown";
+export const BACKUP_VERSION = 2;
+
+// Every migration turns a backup of one version into the next version, until the backup is up to date
+const MIGRATIONS = {
+    1: (backup) => ({ ...backup, format: BACKUP_FORMAT, version: 2, rounds: [], players: [] }),
+};
+
+export function createBackup({ rounds, players, challenges }, exportedAt = new Date()) {
+    const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        rounds,
+        players,
+        challenges,
+    };
+
+    return JSON.stringify(backup, null, 2);
+}
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Returns an error message if the stored round is invalid, or null if everything is fine
+export function validateRound(round) {
+    if (!isNonEmptyString(round.id)) {
+        return "A round is missing its id.";
+    }
+
+    if (!isNonEmptyString(round.playerName) || !isNonEmptyString(round.challengeTitle)) {
+        return `Round ${round.id} is missing its player or challenge.`;
+    }
+
+    if (!isFiniteNumber(round.targetTime) || round.targetTime <= 0) {
+        return `Round ${round.id} has an invalid target time.`;
+    }
+
+    if (!isFiniteNumber(round.remainingTime) || !isFiniteNumber(round.score) || !isFiniteNumber(round.timestamp)) {
+        return `Round ${round.id} has an invalid time, score or date.`;
+    }
+
+    if ((round.mode !== undefined && !isKnownMode(round.mode)) || (round.scoring !== undefined && !isKnownScoring(round.scoring))) {
+        return `Round ${round.id} uses an unknown game mode or scoring strategy.`;
+    }
+
+    return null;
+}
+
+// Rounds stored by older versions are missing the fields that were added later, so they get the defaults
+function normalizeRound(round) {
+    return {
+        ...round,
+        playerId: round.playerId ?? null,
+        mode: round.mode ?? DEFAULT_MODE,
+        scoring: round.scoring ?? DEFAULT_SCORING,
+        won: round.won ?? round.remainingTime > 0,
+        voided: round.voided ?? false,
+    };
+}
+
+// Imported players have to follow the same name rules as the players who join through the Player component
+export function validatePlayer(player) {
+    if (!isNonEmptyString(player.id) || !isNonEmptyString(player.name)) {
+        return "A player is missing their id or name.";
+    }
+
+    // Duplicate names are fine at this point - mergeBackup merges them with the player who already has the name
+    const nameError = validatePlayerName(player.name, []);
+
+    if (nameError) {
+        return `The player "${player.name.trim()}" can't be imported: ${nameError}`;
+    }
+
+    return null;
+}
+
+function normalizePlayer(player) {
+    return {
+        ...player,
+        name: player.name.trim(),
+        createdAt: player.createdAt ?? null,
+        previousNames: Array.isArray(player.previousNames) ? player.previousNames : [],
+    };
+}
+
+// Validates every entry of the list and throws an Error with the first problem that was found
+function parseEntries(entries, validate, normalize) {
+    if (!Array.isArray(entries)) {
+        throw new Error("The backup is damaged: some of its data is missing.");
+    }
+
+    return entries.map((entry) => {
+        const error = typeof entry === "object" && entry !== null ? validate(entry) : "The backup contains an invalid entry.";
+
+        if (error) {
+            throw new Error(error);
+        }
+
+        return normalize(entry);
+    });
+}
+
+/*
+    Parses a backup (or an older challenge pack) and brings it up to the current version
+
+    Just like parseCatalog, this throws an Error with a user-friendly message if the file can't be imported.
+    Returns { version, exportedAt, rounds, players, challenges }, where version is the version of the FILE (before
+    the migration), so the preview can tell the player that an older file was converted.
+*/
+export function parseBackup(json) {
+    let backup;
+
+    try {
+        backup = JSON.parse(json);
+    } catch {
+        throw new Error("The file is not valid JSON.");
+    }
+
+    // Hand-written challenge packs can be a plain array of challenges (see parseCatalog)
+    if (Array.isArray(backup)) {
+        backup = { version: 1, challenges: backup };
+    }
+
+    if (typeof backup !== "object" || backup === null || (backup.format !== undefined && backup.format !== BACKUP_FORMAT)) {
+        throw new Error("This is not a backup of this game.");
+    }
+
+    const fileVersion = backup.version ?? 1;
+
+    if (!Number.isInteger(fileVersion) || fileVersion < 1) {
+        throw new Error("The backup has an unknown version.");
+    }
+
+    if (fileVersion > BACKUP_VERSION) {
+        throw new Error("This backup was created with a newer version of the game.");
+    }
+
+    let migratedBackup = { ...backup, version: fileVersion };
+
+    while (migratedBackup.version < BACKUP_VERSION) {
+        migratedBackup = MIGRATIONS[migratedBackup.version](migratedBackup);
+    }
+
+    const challenges = parseEntries(migratedBackup.challenges, validateChallenge, normalizeChallenge);
+
+    return {
+        version: fileVersion,
+        exportedAt: migratedBackup.exportedAt ?? null,
+        rounds: parseEntries(migratedBackup.rounds, validateRound, normalizeRound),
+        players: parseEntries(migratedBackup.players, validatePlayer, normalizePlayer),
+        challenges,
+    };
+}
+
+const getChallengeKey = ({ title, targetTime, mode, scoring }) => [title.toLowerCase(), targetTime, mode, scoring].join("\u0000");
+
+/*
+    Merges imported data into the current data, without changing anything that is already there
+
+    - rounds and challenges are duplicates if they have the same id (challenges also if they are the same challenge,
+      because the challenge packs of version 1 don't have ids)
+    - players are duplicates if they have the same id or the same name (ignoring upper/lower case) - the rounds of an
+      imported player whose name is already taken are moved over to the existing player, so names stay unique
+
+    Returns { rounds, players, challenges, summary } - the summary counts what would be added and what is skipped,
+    so it can be shown to the player before the import is applied
+*/
+export function mergeBackup(current, imported) {
+    const playerIds = new Set(current.players.map((player) => player.id));
+
+    // Imported player id => the player with the same name (already in the roster, or added from this file before)
+    const mergedPlayers = new Map();
+    const addedPlayers = [];
+
+    for (const player of imported.players) {
+        if (playerIds.has(player.id)) {
+            continue;
+        }
+
+        // parseBackup already checked the other name rules, so the only thing that can be wrong here is a taken name
+        const roster = [...current.players, ...addedPlayers];
+
+        if (validatePlayerName(player.name, roster) !== null) {
+            const namesake = roster.find((other) => other.name.toLowerCase() === player.name.toLowerCase());
+            mergedPlayers.set(player.id, namesake);
+            continue;
+        }
+
+        addedPlayers.push(player);
+        playerIds.add(player.id);
+    }
+
+    const roundIds = new Set(current.rounds.map((round) => round.id));
+    const addedRounds = imported.rounds
+        .filter((round) => !roundIds.has(round.id))
+        .filter((round, index, rounds) => rounds.findIndex((other) => other.id === round.id) === index)
+        .map((round) => {
+            const namesake = mergedPlayers.get(round.playerId);
+
+            if (!namesake) {
+                return round;
+            }
+
+            return { ...round, playerId: namesake.id, playerName: namesake.name };
+        });
+
+    const challengeIds = new Set(current.challenges.map((challenge) => challenge.id));
+    const challengeKeys = new Set(current.challenges.map(getChallengeKey));
+    const addedChallenges = [];
+
+    for (const challenge of imported.challenges) {
+        if (challengeIds.has(challenge.id) || challengeKeys.has(getChallengeKey(challenge))) {
+            continue;
+        }
+
+        addedChallenges.push(challenge);
+        challengeIds.add(challenge.id);
+        challengeKeys.add(getChallengeKey(challenge));
+    }
+
+    return {
+        rounds: [...current.rounds, ...addedRounds].sort((a, b) => a.timestamp - b.timestamp),
+        players: [...current.players, ...addedPlayers],
+        challenges: [...current.challenges, ...addedChallenges],
+        summary: {
+            rounds: { added: addedRounds.length, skipped: imported.rounds.length - addedRounds.length },
+            players: { added: addedPlayers.length, skipped: imported.players.length - addedPlayers.length, merged: mergedPlayers.size },
+            challenges: { added: addedChallenges.length, skipped: imported.challenges.length - addedChallenges.length },
+        },
+    };
+}
+
+/*
+    CSV exports for spreadsheets - one file each for the rounds, the players and the challenges
+
+    The times are in milliseconds, like the rounds are stored (so the target times of the challenges are converted from
+    seconds as well). stopTime and errorTime are derived from the remaining time, so nobody has to write spreadsheet
+    formulas for them (a negative error means too early)
+*/
+const ROUND_CSV_COLUMNS = [
+    { header: "id", value: (round) => round.id },
+    { header: "date", value: (round) => new Date(round.timestamp).toISOString() },
+    { header: "playerId", value: (round) => round.playerId ?? "" },
+    { header: "player", value: (round) => round.playerName },
+    { header: "challenge", value: (round) => round.challengeTitle },
+    { header: "mode", value: (round) => round.mode ?? DEFAULT_MODE },
+    { header: "scoring", value: (round) => round.scoring ?? DEFAULT_SCORING },
+    { header: "targetTime", value: (round) => round.targetTime * 1000 },
+    { header: "remainingTime", value: (round) => round.remainingTime },
+    { header: "stopTime", value: (round) => round.targetTime * 1000 - round.remainingTime },
+    { header: "errorTime", value: (round) => -round.remainingTime },
+    { header: "score", value: (round) => round.score },
+    { header: "won", value: (round) => Boolean(round.won) },
+    { header: "voided", value: (round) => Boolean(round.voided) },
+];
+
+// The rename history ends up in a single cell, oldest name first
+const PLAYER_CSV_COLUMNS = [
+    { header: "id", value: (player) => player.id },
+    { header: "name", value: (player) => player.name },
+    { header: "createdAt", value: (player) => (typeof player.createdAt === "number" ? new Date(player.createdAt).toISOString() : "") },
+    { header: "previousNames", value: (player) => (player.previousNames ?? []).map((previous) => previous.name).join("; ") },
+];
+
+const CHALLENGE_CSV_COLUMNS = [
+    { header: "id", value: (challenge) => challenge.id },
+    { header: "title", value: (challenge) => challenge.title },
+    { header: "mode", value: (challenge) => challenge.mode ?? DEFAULT_MODE },
+    { header: "scoring", value: (challenge) => challenge.scoring ?? DEFAULT_SCORING },
+    { header: "targetTime", value: (challenge) => Math.round(challenge.targetTime * 1000) },
+];
+
+/*
+    Quotes a value if it contains a separator, a quote or a line break
+
+    Spreadsheets run text that starts with =, +, - or @ as a formula, so a player called "=HYPERLINK(...)" could
+    smuggle a formula into the file. Such texts get a leading apostrophe (numbers are left alone)
+*/
+function toCsvField(value) {
+    let text = String(value);
+
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function createCsv(entries, columns) {
+    const lines = [
+        columns.map((column) => column.header).join(","),
+        ...entries.map((entry) => columns.map((column) => toCsvField(column.value(entry))).join(",")),
+    ];
+
+    // Spreadsheets expect Windows line endings in CSV files
+    return lines.join("\r\n");
+}
+
+export function createRoundsCsv(rounds) {
+    return createCsv(rounds, ROUND_CSV_COLUMNS);
+}
+
+export function createPlayersCsv(players) {
+    return createCsv(players, PLAYER_CSV_COLUMNS);
+}
+
+export function createChallengesCsv(challenges) {
+    return createCsv(challenges, CHALLENGE_CSV_COLUMNS);
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+
+import { createBackup, createChallengesCsv, createPlayersCsv, createRoundsCsv, mergeBackup, parseBackup } from "./backup.js";
+
+const createRound = (id, playerId, playerName) => ({
+    id,
+    playerId,
+    playerName,
+    challengeTitle: "Easy",
+    targetTime: 1,
+    remainingTime: 100,
+    score: 90,
+    timestamp: 1,
+});
+
+const emptyGame = { rounds: [], players: [], challenges: [] };
+
+describe("mergeBackup", () => {
+    it("merges imported players whose names only differ by case", () => {
+        const imported = parseBackup(
+            createBackup({
+                rounds: [createRound("r1", "p1", "Ann"), createRound("r2", "p2", "ann")],
+                players: [
+                    { id: "p1", name: "Ann" },
+                    { id: "p2", name: "ann" },
+                ],
+                challenges: [],
+            })
+        );
+
+        const merged = mergeBackup(emptyGame, imported);
+
+        expect(merged.players.map((player) => player.name)).toEqual(["Ann"]);
+        expect(merged.rounds.map((round) => [round.playerId, round.playerName])).toEqual([
+            ["p1", "Ann"],
+            ["p1", "Ann"],
+        ]);
+        expect(merged.summary.players).toEqual({ added: 1, skipped: 1, merged: 1 });
+    });
+
+    it("never adds a name that is already taken in the roster", () => {
+        const current = { ...emptyGame, players: [{ id: "p1", name: "Ann" }] };
+        const imported = parseBackup(
+            createBackup({ rounds: [createRound("r1", "p9", "ANN")], players: [{ id: "p9", name: "ANN" }], challenges: [] })
+        );
+
+        const merged = mergeBackup(current, imported);
+
+        expect(merged.players).toEqual(current.players);
+        expect(merged.rounds[0]).toMatchObject({ playerId: "p1", playerName: "Ann" });
+    });
+});
+
+describe("parseBackup", () => {
+    const createPlayerBackup = (name) => createBackup({ rounds: [], players: [{ id: "p1", name }], challenges: [] });
+
+    it("rejects players with names that can't join the roster", () => {
+        expect(() => parseBackup(createPlayerBackup("unknown entity"))).toThrow(/reserved/);
+        expect(() => parseBackup(createPlayerBackup("x".repeat(80)))).toThrow(/at most 20 characters/);
+        expect(() => parseBackup(createPlayerBackup("   "))).toThrow("A player is missing their id or name.");
+    });
+
+    it("trims the names of the players", () => {
+        expect(parseBackup(createPlayerBackup(" Ann ")).players[0].name).toBe("Ann");
+    });
+});
+
+describe("CSV exports", () => {
+    it("escapes separators, quotes and formulas", () => {
+        const csv = createRoundsCsv([{ ...createRound("r1", null, "=HYPERLINK()"), challengeTitle: 'Say "hi", then stop' }]);
+
+        expect(csv.split("\r\n")[1]).toBe(
+            "r1,1970-01-01T00:00:00.001Z,,'=HYPERLINK(),\"Say \"\"hi\"\", then stop\",classic,linear,1000,100,900,-100,90,false,false"
+        );
+    });
+
+    it("exports the players with their previous names", () => {
+        const players = [{ id: "p1", name: "Ann", createdAt: 0, previousNames: [{ name: "Anna" }, { name: "Annie" }] }];
+
+        expect(createPlayersCsv(players)).toBe("id,name,createdAt,previousNames\r\np1,Ann,1970-01-01T00:00:00.000Z,Anna; Annie");
+    });
+
+    it("exports the challenges with their target time in milliseconds", () => {
+        const challenges = [{ id: "c1", title: "Quick", targetTime: 2.5, mode: "blind", scoring: "tolerance" }];
+
+        expect(createChallengesCsv(challenges)).toBe("id,title,mode,scoring,targetTime\r\nc1,Quick,blind,tolerance,2500");
+    });
+});
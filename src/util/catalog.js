@@ -0,0 +1,126 @@
+import { createId } from "./id.js";
+import { DEFAULT_MODE, isKnownMode } from "./modes.js";
+import { DEFAULT_SCORING, isKnownScoring } from "./scoring.js";
+import { loadFromStorage, saveToStorage } from "./storage.js";
+
+export const CATALOG_STORAGE_KEY = "almost-final-countdown.catalog";
+export const CATALOG_EXPORT_VERSION = 1;
+
+export const MAX_TITLE_LENGTH = 40;
+export const MIN_TARGET_TIME = 0.1;
+export const MAX_TARGET_TIME = 600;
+
+// These are the four challenges that used to be hard-coded in App.jsx
+export const DEFAULT_CHALLENGES = [
+    { id: "easy", title: "Easy", targetTime: 1, mode: DEFAULT_MODE, scoring: DEFAULT_SCORING },
+    { id: "not-easy", title: "Not easy", targetTime: 5, mode: DEFAULT_MODE, scoring: DEFAULT_SCORING },
+    { id: "getting-tough", title: "Getting tough", targetTime: 10, mode: DEFAULT_MODE, scoring: DEFAULT_SCORING },
+    { id: "pros-only", title: "Pros only", targetTime: 15, mode: DEFAULT_MODE, scoring: DEFAULT_SCORING },
+];
+
+// Returns an error message if the challenge is invalid, or null if everything is fine
+export function validateChallenge({ title, targetTime, mode, scoring }) {
+    if (typeof title !== "string" || title.trim() === "") {
+        return "Every challenge needs a title.";
+    }
+
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+        return `Challenge titles can't be longer than ${MAX_TITLE_LENGTH} characters.`;
+    }
+
+    if (typeof targetTime !== "number" || !Number.isFinite(targetTime)) {
+        return `The target time of "${title.trim()}" must be a number.`;
+    }
+
+    if (targetTime < MIN_TARGET_TIME || targetTime > MAX_TARGET_TIME) {
+        return `The target time of "${title.trim()}" must be between ${MIN_TARGET_TIME} and ${MAX_TARGET_TIME} seconds.`;
+    }
+
+    // Challenges without a mode or scoring strategy (e.g. from older packs) are played with the defaults
+    if (mode !== undefined && !isKnownMode(mode)) {
+        return `"${title.trim()}" uses an unknown game mode: ${mode}.`;
+    }
+
+    if (scoring !== undefined && !isKnownScoring(scoring)) {
+        return `"${title.trim()}" uses an unknown scoring strategy: ${scoring}.`;
+    }
+
+    return null;
+}
+
+/*
+    Brings a challenge into the shape we store: a trimmed title and a target time rounded to milliseconds
+    (so 2.5 stays 2.5, but 2.50000001 from a number input becomes 2.5)
+*/
+export function normalizeChallenge(challenge) {
+    return {
+        ...challenge,
+        id: challenge.id ?? createId(),
+        title: challenge.title.trim(),
+        targetTime: Math.round(challenge.targetTime * 1000) / 1000,
+        mode: challenge.mode ?? DEFAULT_MODE,
+        scoring: challenge.scoring ?? DEFAULT_SCORING,
+    };
+}
+
+export function loadCatalog() {
+    const challenges = loadFromStorage(CATALOG_STORAGE_KEY, null);
+
+    // A missing or broken catalog falls back to the default challenges
+    if (!Array.isArray(challenges) || challenges.some((challenge) => validateChallenge(challenge) !== null)) {
+        return DEFAULT_CHALLENGES;
+    }
+
+    return challenges;
+}
+
+export function saveCatalog(challenges) {
+    saveToStorage(CATALOG_STORAGE_KEY, challenges);
+}
+
+// Ids only matter inside this browser, so they are left out of the shared file
+export function exportCatalog(challenges) {
+    const challengePack = {
+        version: CATALOG_EXPORT_VERSION,
+        challenges: challenges.map(({ title, targetTime, mode, scoring }) => ({ title, targetTime, mode, scoring })),
+    };
+
+    return JSON.stringify(challengePack, null, 2);
+}
+
+/*
+    Parses a challenge pack that was created with exportCatalog
+
+    A plain array of challenges is accepted as well, so hand-written packs don't need the wrapper object.
+    Throws an Error with a user-friendly message if the pack is invalid.
+*/
+export function parseCatalog(json) {
+    let challengePack;
+
+    try {
+        challengePack = JSON.parse(json);
+    } catch {
+        throw new Error("The file is not valid JSON.");
+    }
+
+    const challenges = Array.isArray(challengePack) ? challengePack : challengePack?.challenges;
+
+    if (!Array.isArray(challenges) || challenges.length === 0) {
+        throw new Error("The file doesn't contain any challenges.");
+    }
+
+    if (!Array.isArray(challengePack) && challengePack.version > CATALOG_EXPORT_VERSION) {
+        throw new Error("This challenge pack was created with a newer version of the game.");
+    }
+
+    return challenges.map((challenge) => {
+        const error = validateChallenge(challenge ?? {});
+
+        if (error) {
+            throw new Error(error);
+        }
+
+        // Imported challenges always get fresh ids, so they never collide with existing ones
+        return normalizeChallenge({ ...challenge, id: createId() });
+    });
+}
@@ -0,0 +1,118 @@
+import { playTone } from "./audio.js";
+
+/*
+    The audio and haptic cues of the game
+
+    Every cue is synthesized from a few notes (so we don't need any audio files) and can come with a vibration pattern
+    for devices that support the Vibration API. Notes are { frequency, duration, delay } with times in seconds, and
+    vibration patterns use the format of navigator.vibrate() (alternating vibrate/pause milliseconds).
+*/
+export const CUES = [
+    {
+        id: "start",
+        label: "Start beep",
+        notes: [{ frequency: 880, duration: 0.12, delay: 0 }],
+        vibration: [40],
+    },
+    {
+        id: "tick",
+        label: "Metronome ticks (training aid)",
+        notes: [{ frequency: 1320, duration: 0.03, delay: 0, type: "square" }],
+        vibration: null,
+    },
+    {
+        id: "win",
+        label: "Win sound",
+        notes: [
+            { frequency: 523.25, duration: 0.12, delay: 0 },
+            { frequency: 659.25, duration: 0.12, delay: 0.12 },
+            { frequency: 783.99, duration: 0.25, delay: 0.24 },
+        ],
+        vibration: [60, 60, 60],
+    },
+    {
+        id: "lose",
+        label: "Lose sound",
+        notes: [
+            { frequency: 392, duration: 0.2, delay: 0, type: "triangle" },
+            { frequency: 261.63, duration: 0.4, delay: 0.2, type: "triangle" },
+        ],
+        vibration: [300],
+    },
+];
+
+// Every cue can be turned on/off and has its own volume (0 to 1)
+export const DEFAULT_CUE_SETTINGS = {
+    start: { enabled: true, volume: 0.5 },
+    tick: { enabled: false, volume: 0.3 },
+    win: { enabled: true, volume: 0.5 },
+    lose: { enabled: true, volume: 0.5 },
+};
+
+/*
+    Backends actually produce the sound and the vibration
+
+    A backend is any object with playCue(cue, volume) and vibrate(cue, pattern) methods. The cue player doesn't care
+    how the backend does that, so tests can use a recording backend and simply check which cues fired.
+*/
+export function createWebAudioBackend() {
+    return {
+        playCue(cue, volume) {
+            cue.notes.forEach(({ frequency, duration, delay, type }) => playTone(duration, { frequency, volume, delay, type }));
+        },
+        vibrate(cue, pattern) {
+            // The Vibration API doesn't exist in every browser (e.g. Safari), so we check for it first
+            if (typeof navigator !== "undefined" && typeof navigator.vibrate === "function") {
+                navigator.vibrate(pattern);
+            }
+        },
+    };
+}
+
+// Doesn't make a sound, but remembers every cue that fired - meant for tests
+export function createRecordingBackend() {
+    const calls = [];
+
+    return {
+        calls,
+        playCue(cue, volume) {
+            calls.push({ type: "sound", cueId: cue.id, volume });
+        },
+        vibrate(cue, pattern) {
+            calls.push({ type: "vibration", cueId: cue.id, pattern });
+        },
+        // The ids of all cues that made a sound, in the order they fired
+        playedCueIds: () => calls.filter((call) => call.type === "sound").map((call) => call.cueId),
+    };
+}
+
+/*
+    Creates a player that plays cues by id through the given backend
+
+    getSettings() is called on every play() so the player always respects the current settings
+    ({ cues: { [cueId]: { enabled, volume } }, haptics: boolean }).
+    play() returns true if the cue was actually played, which also makes it easy to check in tests.
+*/
+export function createCuePlayer(backend, getSettings) {
+    return {
+        play(cueId) {
+            const cue = CUES.find((candidate) => candidate.id === cueId);
+            const { cues = DEFAULT_CUE_SETTINGS, haptics = false } = getSettings();
+            const cueSettings = cues[cueId] ?? DEFAULT_CUE_SETTINGS[cueId];
+
+            if (!cue || !cueSettings?.enabled) {
+                return false;
+            }
+
+            if (cueSettings.volume > 0) {
+                backend.playCue(cue, cueSettings.volume);
+            }
+
+            if (haptics && cue.vibration) {
+                backend.vibrate(cue, cue.vibration);
+            }
+
+            return true;
+        },
+    };
+}
@@ -0,0 +1,122 @@
+import { loadFromStorage, saveToStorage } from "./storage.js";
+
+export const DAILY_STORAGE_KEY = "almost-final-countdown.daily";
+
+export const MIN_DAILY_TARGET_TIME = 2;
+export const MAX_DAILY_TARGET_TIME = 12;
+
+// Daily challenge #1 was played on this day
+const FIRST_DAILY_DATE = "2024-01-01";
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// The local calendar day as "YYYY-MM-DD" (toISOString() would use UTC, so players east of UTC would get tomorrow early)
+export function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Whole days between two date keys (Date.UTC ignores daylight saving time, so every day is exactly 24 hours long)
+function daysBetween(fromDateKey, toDateKey) {
+    const toUtc = (dateKey) => {
+        const [year, month, day] = dateKey.split("-").map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+
+    return Math.round((toUtc(toDateKey) - toUtc(fromDateKey)) / MILLISECONDS_PER_DAY);
+}
+
+export function getDailyNumber(dateKey) {
+    return daysBetween(FIRST_DAILY_DATE, dateKey) + 1;
+}
+
+// FNV-1a: turns a text (e.g. the date key) into a 32 bit number that we can use as a seed
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+
+    for (let index = 0; index < text.length; index++) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/*
+    Mulberry32 - a tiny seeded pseudo random number generator
+
+    Unlike Math.random(), the same seed always produces the same sequence of numbers, so every player gets the same
+    daily target time on the same day, without a server
+*/
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A target time between 2 and 12 seconds with two decimals (e.g. 3.47), derived from the date
+export function getDailyTargetTime(dateKey) {
+    const random = createRandom(hashString(`daily-${dateKey}`));
+    const targetTime = MIN_DAILY_TARGET_TIME + random() * (MAX_DAILY_TARGET_TIME - MIN_DAILY_TARGET_TIME);
+    return Math.round(targetTime * 100) / 100;
+}
+
+export function getDailyChallenge(date = new Date()) {
+    const dateKey = getDateKey(date);
+
+    return {
+        dateKey,
+        number: getDailyNumber(dateKey),
+        targetTime: getDailyTargetTime(dateKey),
+    };
+}
+
+/*
+    The daily records of all players: { [playerKey]: { lastDate, streak, attempts: { [dateKey]: score } } }
+
+    playerKey is the player's id (or name for the anonymous player)
+*/
+export function loadDailyRecords() {
+    const records = loadFromStorage(DAILY_STORAGE_KEY, {});
+    return typeof records === "object" && records !== null ? records : {};
+}
+
+export function saveDailyRecords(records) {
+    saveToStorage(DAILY_STORAGE_KEY, records);
+}
+
+// The streak continues if the player's last attempt was yesterday, otherwise it starts over at 1
+export function recordDailyAttempt(records, playerKey, dateKey, score) {
+    const record = records[playerKey] ?? { lastDate: null, streak: 0, attempts: {} };
+
+    if (record.attempts[dateKey] !== undefined) {
+        return records;
+    }
+
+    const continuesStreak = record.lastDate !== null && daysBetween(record.lastDate, dateKey) === 1;
+
+    return {
+        ...records,
+        [playerKey]: {
+            lastDate: dateKey,
+            streak: continuesStreak ? record.streak + 1 : 1,
+            attempts: { ...record.attempts, [dateKey]: score },
+        },
+    };
+}
+
+// A streak is only "alive" if the player played today or yesterday - after a missed day it is back at 0
+export function getCurrentStreak(record, dateKey) {
+    if (!record?.lastDate) {
+        return 0;
+    }
+
+    return daysBetween(record.lastDate, dateKey) <= 1 ? record.streak : 0;
+}
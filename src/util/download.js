@@ -0,0 +1,19 @@
+/*
+    Lets the browser download a file that we create in memory
+
+    We wrap the content in a Blob, create a temporary URL for it and click an invisible link that points to that URL.
+    The URL is revoked afterwards, so the Blob can be garbage collected.
+*/
+export function downloadFile(fileName, content, type = "application/json") {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.append(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
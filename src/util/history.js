@@ -0,0 +1,192 @@
+import { createId } from "./id.js";
+import { DEFAULT_MODE, getMode } from "./modes.js";
+import { DEFAULT_SCORING, getScoringStrategy, scoreRound } from "./scoring.js";
+import { loadFromStorage, saveToStorage } from "./storage.js";
+
+export const HISTORY_STORAGE_KEY = "almost-final-countdown.history";
+
+export function loadRounds() {
+    const rounds = loadFromStorage(HISTORY_STORAGE_KEY, []);
+    return Array.isArray(rounds) ? rounds : [];
+}
+
+export function saveRounds(rounds) {
+    saveToStorage(HISTORY_STORAGE_KEY, rounds);
+}
+
+/*
+    Turns the outcome of a finished challenge into a record we can store
+
+    A lost round (the timer expired) is stored with a score of 0, so it still counts towards the player's average
+
+    A voided round (the player left the game while the timer was running) is stored as well, so there's a record of
+    it, but it is flagged and doesn't count anywhere (see getCountedRounds)
+*/
+export function createRound({
+    playerId = null,
+    playerName,
+    challengeTitle,
+    targetTime,
+    remainingTime,
+    mode = DEFAULT_MODE,
+    scoring = DEFAULT_SCORING,
+    voided = false,
+}) {
+    const { score, lost } = scoreRound({ mode, targetTime, remainingTime, scoring });
+
+    return {
+        id: createId(),
+        playerId,
+        playerName,
+        challengeTitle,
+        targetTime,
+        mode,
+        scoring,
+        remainingTime,
+        score: voided ? 0 : score,
+        won: !voided && !lost,
+        voided,
+        timestamp: Date.now(),
+    };
+}
+
+// The rounds that count towards the leaderboard and the statistics (rounds stored before voiding existed all count)
+export function getCountedRounds(rounds) {
+    return rounds.filter((round) => !round.voided);
+}
+
+/*
+    Scores are only comparable between rounds of the same challenge that were played in the same mode and scored
+    with the same strategy, so these four things together identify a "challenge variant"
+
+    Rounds stored before game modes and scoring strategies existed were all classic rounds with linear scoring
+*/
+export function getChallengeVariant(round) {
+    return {
+        challengeTitle: round.challengeTitle,
+        targetTime: round.targetTime,
+        mode: round.mode ?? DEFAULT_MODE,
+        scoring: round.scoring ?? DEFAULT_SCORING,
+    };
+}
+
+export function getChallengeVariantKey(round) {
+    const { challengeTitle, targetTime, mode, scoring } = getChallengeVariant(round);
+    return [challengeTitle, targetTime, mode, scoring].join("\u0000");
+}
+
+// e.g. "Easy (1s)" or "Pros only (15s, Blind, Exponential)" - the defaults are left out to keep it short
+export function describeChallengeVariant({ challengeTitle, targetTime, mode, scoring }) {
+    const details = [`${targetTime}s`];
+
+    if (mode !== DEFAULT_MODE) {
+        details.push(getMode(mode).label);
+    }
+
+    if (scoring !== DEFAULT_SCORING) {
+        details.push(getScoringStrategy(scoring).label);
+    }
+
+    return `${challengeTitle} (${details.join(", ")})`;
+}
+
+/*
+    Moves the rounds of a renamed player over to their new name, so their history (leaderboard, statistics...) stays theirs
+
+    Rounds are matched by player id. Rounds stored before the roster existed only have a name, so those are matched by
+    the previous name - and get the player's id, so they keep belonging to the player after further renames
+*/
+export function renamePlayerInRounds(rounds, { playerId, previousName, name }) {
+    return rounds.map((round) => {
+        const isPlayersRound = round.playerId ? round.playerId === playerId : round.playerName === previousName;
+        return isPlayersRound ? { ...round, playerId, playerName: name } : round;
+    });
+}
+
+// An empty filter value means "everything", so filterRounds(rounds, {}) returns all rounds
+export function filterRounds(rounds, { playerName, challengeTitle } = {}) {
+    return rounds.filter(
+        (round) => (!playerName || round.playerName === playerName) && (!challengeTitle || round.challengeTitle === challengeTitle)
+    );
+}
+
+/*
+    Groups rounds by player and challenge and calculates the best and average score of every group
+
+    The rows are sorted by target time (so the easy challenges come first) and then by best score
+*/
+export function getLeaderboard(rounds) {
+    const groups = new Map();
+
+    for (const round of rounds) {
+        const key = `${round.playerName}\u0000${getChallengeVariantKey(round)}`;
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                playerName: round.playerName,
+                ...getChallengeVariant(round),
+                scores: [],
+            });
+        }
+
+        groups.get(key).scores.push(round.score);
+    }
+
+    return [...groups.values()]
+        .map(({ scores, ...group }) => ({
+            ...group,
+            played: scores.length,
+            best: Math.max(...scores),
+            average: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+        }))
+        .sort((a, b) => a.targetTime - b.targetTime || b.best - a.best || b.average - a.average);
+}
+
+/*
+    Compares the players of the roster challenge by challenge
+
+    Every row is one challenge, with the best score of every player (or null if they didn't play it yet) and the ids
+    of the players who hold the best score. Rounds are matched by player id, but rounds stored before the roster existed
+    only have a name, so those are matched by name instead.
+*/
+export function getHeadToHead(rounds, players) {
+    const rows = new Map();
+    const wins = Object.fromEntries(players.map((player) => [player.id, 0]));
+
+    for (const round of rounds) {
+        const player = players.find((candidate) => (round.playerId ? round.playerId === candidate.id : round.playerName === candidate.name));
+
+        if (!player) {
+            continue;
+        }
+
+        const key = getChallengeVariantKey(round);
+
+        if (!rows.has(key)) {
+            rows.set(key, {
+                key,
+                ...getChallengeVariant(round),
+                bestScores: Object.fromEntries(players.map((player) => [player.id, null])),
+            });
+        }
+
+        const bestScores = rows.get(key).bestScores;
+        bestScores[player.id] = Math.max(bestScores[player.id] ?? 0, round.score);
+    }
+
+    const sortedRows = [...rows.values()]
+        .sort((a, b) => a.targetTime - b.targetTime)
+        .map((row) => {
+            const playedScores = Object.values(row.bestScores).filter((score) => score !== null);
+            const topScore = Math.max(...playedScores);
+            const leaderIds = Object.keys(row.bestScores).filter((id) => row.bestScores[id] === topScore);
+
+            // Ties count as a win for every player who shares the top score
+            leaderIds.forEach((id) => wins[id]++);
+
+            return { ...row, leaderIds };
+        });
+
+    return { rows: sortedRows, wins };
+}
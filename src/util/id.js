@@ -0,0 +1,9 @@
+// crypto.randomUUID() only exists in secure contexts (https or localhost), so when the game is opened through a
+// plain http LAN address we fall back to a timestamp + random suffix, which is unique enough for local data
+export function createId() {
+    if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+        return crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,43 @@
+import { getGrade } from "./tournament.js";
+
+export const MIN_JUGGLE_TIMERS = 2;
+export const MAX_JUGGLE_TIMERS = 4;
+export const DEFAULT_JUGGLE_TIMERS = 3;
+
+// The first timer's target time and how much longer every following timer runs (in seconds)
+export const DEFAULT_JUGGLE_START = 3;
+export const DEFAULT_JUGGLE_STAGGER = 2;
+
+/*
+    The juggle: several timers with staggered target times that all run at the same time
+
+    With the defaults, the player juggles a 3, a 5 and a 7 second timer. Starting them one after the other and stopping
+    every single one in time is the challenge, so every timer is played in the classic mode (with a visible indicator).
+*/
+export function createJugglePlan(
+    timerCount = DEFAULT_JUGGLE_TIMERS,
+    { firstTargetTime = DEFAULT_JUGGLE_START, stagger = DEFAULT_JUGGLE_STAGGER } = {}
+) {
+    return Array.from({ length: timerCount }, (_, index) => ({
+        title: `Ball ${index + 1}`,
+        // Rounded to milliseconds, so e.g. a stagger of 0.1 doesn't produce targets like 3.3000000000000003
+        targetTime: Math.round((firstTargetTime + index * stagger) * 1000) / 1000,
+    }));
+}
+
+/*
+    The combined result of a juggle: the rounds in the order of the plan, the total and the average score, how many
+    timers were stopped in time and a grade (the same grades as in a tournament)
+*/
+export function summarizeJuggle(rounds) {
+    const totalScore = rounds.reduce((sum, round) => sum + round.score, 0);
+    const averageScore = rounds.length === 0 ? 0 : totalScore / rounds.length;
+
+    return {
+        rounds,
+        totalScore,
+        averageScore,
+        wonCount: rounds.filter((round) => round.won).length,
+        grade: getGrade(averageScore),
+    };
+}
@@ -0,0 +1,19 @@
+export const MODAL_ROOT_ID = "modal";
+
+/*
+    The element that all dialogs are teleported into (the <div id="modal"> in index.html)
+
+    If the page doesn't have that div (e.g. the app is embedded somewhere else, or in a test), we create it instead
+    of crashing: createPortal() throws if its target is null, which would take the whole app down with it
+*/
+export function getModalRoot() {
+    let modalRoot = document.getElementById(MODAL_ROOT_ID);
+
+    if (!modalRoot) {
+        modalRoot = document.createElement("div");
+        modalRoot.id = MODAL_ROOT_ID;
+        document.body.prepend(modalRoot);
+    }
+
+    return modalRoot;
+}
@@ -0,0 +1,66 @@
+/*
+    All the ways a challenge can be played
+
+    - hidesIndicator: the "Time is running..." indicator is not shown while the timer runs
+    - allowsOvershoot: the timer keeps running after the target time, so the player can also stop too late
+    - playsTone: the player first listens to a tone that lasts targetTime seconds and then has to reproduce its length
+    - showsCountdown: the remaining time is visible at the start of the run and fades out (see util/training.js)
+*/
+export const GAME_MODES = [
+    {
+        id: "classic",
+        label: "Classic",
+        description: "Stop the timer right before the time runs out.",
+        hidesIndicator: false,
+        allowsOvershoot: false,
+        playsTone: false,
+        showsCountdown: false,
+    },
+    {
+        id: "blind",
+        label: "Blind",
+        description: "Like classic, but without any sign that the timer is running.",
+        hidesIndicator: true,
+        allowsOvershoot: false,
+        playsTone: false,
+        showsCountdown: false,
+    },
+    {
+        id: "overshoot",
+        label: "Overshoot",
+        description: "Stop as close to the target as you can - too late is allowed, but counts as an error too.",
+        hidesIndicator: false,
+        allowsOvershoot: true,
+        playsTone: false,
+        showsCountdown: false,
+    },
+    {
+        id: "reverse",
+        label: "Reverse",
+        description: "Listen to a tone, then start and stop the timer to reproduce its length.",
+        hidesIndicator: false,
+        allowsOvershoot: true,
+        playsTone: true,
+        showsCountdown: false,
+    },
+    {
+        id: "training",
+        label: "Training",
+        description: "The countdown is visible at first and fades out - the better you get, the sooner it disappears.",
+        hidesIndicator: false,
+        allowsOvershoot: false,
+        playsTone: false,
+        showsCountdown: true,
+    },
+];
+
+export const DEFAULT_MODE = "classic";
+
+export function isKnownMode(modeId) {
+    return GAME_MODES.some((mode) => mode.id === modeId);
+}
+
+// Unknown ids (e.g. from an old or hand-written challenge pack) fall back to the classic mode
+export function getMode(modeId) {
+    return GAME_MODES.find((mode) => mode.id === modeId) ?? GAME_MODES.find((mode) => mode.id === DEFAULT_MODE);
+}
@@ -0,0 +1,113 @@
+import { hashString } from "./daily.js";
+import { createId } from "./id.js";
+import { loadFromStorage, saveToStorage } from "./storage.js";
+
+export const PLAYERS_STORAGE_KEY = "almost-final-countdown.players";
+
+// The name shown while nobody joined the roster yet (this used to be the initial state of the Player component)
+export const ANONYMOUS_PLAYER_NAME = "unknown entity";
+
+export const MAX_PLAYER_NAME_LENGTH = 20;
+
+/*
+    Checks a player name and returns an error message, or null if the name is fine
+
+    Names must not be blank and must be unique (ignoring upper/lower case and surrounding spaces), otherwise nobody
+    could tell the players apart on the leaderboard. When a player is renamed, their own current name doesn't count
+    as a duplicate, so pass their id as ignoredPlayerId
+*/
+export function validatePlayerName(name, players, ignoredPlayerId = null) {
+    const trimmedName = name.trim();
+
+    if (trimmedName === "") {
+        return "Please enter a name.";
+    }
+
+    if (trimmedName.length > MAX_PLAYER_NAME_LENGTH) {
+        return `Names can be at most ${MAX_PLAYER_NAME_LENGTH} characters long.`;
+    }
+
+    if (trimmedName.toLowerCase() === ANONYMOUS_PLAYER_NAME) {
+        return `"${ANONYMOUS_PLAYER_NAME}" is reserved - pick another name.`;
+    }
+
+    const isTaken = players.some((player) => player.id !== ignoredPlayerId && player.name.toLowerCase() === trimmedName.toLowerCase());
+
+    if (isTaken) {
+        return `There already is a player called "${trimmedName}".`;
+    }
+
+    return null;
+}
+
+// previousNames is the rename history of the player: [{ name, renamedAt }], oldest first
+export function createPlayer(name) {
+    return { id: createId(), name: name.trim(), createdAt: Date.now(), previousNames: [] };
+}
+
+// Returns the renamed player - the old name goes into the rename history (players stored before it existed get one)
+export function renamePlayer(player, name) {
+    const trimmedName = name.trim();
+
+    if (trimmedName === player.name) {
+        return player;
+    }
+
+    return {
+        ...player,
+        name: trimmedName,
+        previousNames: [...(player.previousNames ?? []), { name: player.name, renamedAt: Date.now() }],
+    };
+}
+
+// Up to two letters for the avatar: the first letters of the first two words ("Ada Lovelace" => "AL"), or "AD" for "ada"
+export function getInitials(name) {
+    const words = name.trim().split(/\s+/).filter(Boolean);
+
+    if (words.length === 0) {
+        return "?";
+    }
+
+    // Array.from splits by characters (not UTF-16 code units), so an emoji at the start of a name stays intact
+    const initials = words.length > 1 ? [Array.from(words[0])[0], Array.from(words[1])[0]] : Array.from(words[0]).slice(0, 2);
+
+    return initials.join("").toUpperCase();
+}
+
+/*
+    Every player gets their own avatar color, derived from their id - so it stays the same when they are renamed
+
+    Only the hue changes, the saturation and lightness are fixed, so the (dark) initials are readable on every color
+*/
+export function getAvatarColor(playerId) {
+    return `hsl(${hashString(String(playerId)) % 360}, 60%, 65%)`;
+}
+
+// The roster is stored together with the player whose turn it is, so a reload doesn't mess up the turn order
+export function loadRoster() {
+    const roster = loadFromStorage(PLAYERS_STORAGE_KEY, null);
+
+    if (!roster || !Array.isArray(roster.players)) {
+        return { players: [], activePlayerId: null };
+    }
+
+    // Older versions accepted blank names, which showed up as an empty "Welcome" - those players are dropped
+    const players = roster.players.filter((player) => typeof player.name === "string" && player.name.trim() !== "");
+    const activePlayerId = players.some((player) => player.id === roster.activePlayerId) ? roster.activePlayerId : players[0]?.id ?? null;
+
+    return { players, activePlayerId };
+}
+
+export function saveRoster(roster) {
+    saveToStorage(PLAYERS_STORAGE_KEY, roster);
+}
+
+// Returns the id of the player after the given one, and starts over at the beginning of the roster
+export function getNextPlayerId(players, currentPlayerId) {
+    if (players.length === 0) {
+        return null;
+    }
+
+    const currentIndex = players.findIndex((player) => player.id === currentPlayerId);
+    return players[(currentIndex + 1) % players.length].id;
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+
+import { ANONYMOUS_PLAYER_NAME, MAX_PLAYER_NAME_LENGTH, renamePlayer, validatePlayerName } from "./players.js";
+
+const players = [
+    { id: "ada", name: "Ada", previousNames: [] },
+    { id: "grace", name: "Grace", previousNames: [] },
+];
+
+describe("validatePlayerName", () => {
+    it("accepts a new name", () => {
+        expect(validatePlayerName("  Linus  ", players)).toBeNull();
+    });
+
+    it("rejects blank names", () => {
+        expect(validatePlayerName("   ", players)).toBe("Please enter a name.");
+    });
+
+    it("rejects names that are too long", () => {
+        expect(validatePlayerName("x".repeat(MAX_PLAYER_NAME_LENGTH + 1), players)).toMatch(/at most/);
+        expect(validatePlayerName("x".repeat(MAX_PLAYER_NAME_LENGTH), players)).toBeNull();
+    });
+
+    it("rejects the name of the anonymous player", () => {
+        expect(validatePlayerName(ANONYMOUS_PLAYER_NAME.toUpperCase(), players)).toMatch(/reserved/);
+    });
+
+    it("rejects duplicates, ignoring upper/lower case", () => {
+        expect(validatePlayerName("ada ", players)).toBe('There already is a player called "ada".');
+    });
+
+    it("doesn't count the renamed player's own name as a duplicate", () => {
+        expect(validatePlayerName("ADA", players, "ada")).toBeNull();
+        expect(validatePlayerName("Grace", players, "ada")).not.toBeNull();
+    });
+});
+
+describe("renamePlayer", () => {
+    it("remembers the previous name", () => {
+        const renamedPlayer = renamePlayer(players[0], " Countess ");
+
+        expect(renamedPlayer.name).toBe("Countess");
+        expect(renamedPlayer.previousNames).toEqual([{ name: "Ada", renamedAt: expect.any(Number) }]);
+    });
+
+    it("doesn't change anything if the name stays the same", () => {
+        expect(renamePlayer(players[0], "Ada")).toBe(players[0]);
+    });
+});
@@ -0,0 +1,186 @@
+import { getMode } from "./modes.js";
+
+/*
+    Scoring strategies
+
+    A strategy turns the error of a round into a score. Every strategy has the same shape:
+    - id, label and description (shown in the settings)
+    - score({ absoluteError, targetTime }) returns { score, breakdown }, where breakdown is a list of
+      { label, value } rows that the ResultModal renders, so the player can see how the score came about
+
+    absoluteError is in milliseconds, targetTime in seconds. Whether a round is lost is decided by the game mode
+    (see scoreRound below), so the strategies only have to care about rounds that count.
+*/
+const formatSeconds = (milliseconds) => `${(milliseconds / 1000).toFixed(3)}s`;
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+// The classic formula: 1 - remainingTime / targetTime
+function scoreLinear({ absoluteError, targetTime }) {
+    const relativeError = absoluteError / (targetTime * 1000);
+    const score = Math.max(0, Math.round((1 - relativeError) * 100));
+
+    return {
+        score,
+        breakdown: [
+            { label: "Error", value: `${formatSeconds(absoluteError)} (${formatPercent(relativeError)} of the target)` },
+            { label: "100 × (1 − relative error)", value: score },
+        ],
+    };
+}
+
+// Small errors hardly cost anything, large errors are punished hard: 100 × e^(−relative error / 0.2)
+const DECAY_RATE = 0.2;
+
+function scoreExponential({ absoluteError, targetTime }) {
+    const relativeError = absoluteError / (targetTime * 1000);
+    const score = Math.round(100 * Math.exp(-relativeError / DECAY_RATE));
+
+    return {
+        score,
+        breakdown: [
+            { label: "Error", value: `${formatSeconds(absoluteError)} (${formatPercent(relativeError)} of the target)` },
+            { label: `100 × e^(−relative error / ${DECAY_RATE})`, value: score },
+        ],
+    };
+}
+
+/*
+    Fixed bands of absolute error - anything within ±50ms is perfect, no matter how long the target time is
+
+    Errors outside of the last band fall back to the linear score, capped at 10 points
+*/
+export const TOLERANCE_BANDS = [
+    { within: 50, score: 100, label: "Perfect" },
+    { within: 100, score: 90, label: "Excellent" },
+    { within: 250, score: 75, label: "Great" },
+    { within: 500, score: 50, label: "Good" },
+    { within: 1000, score: 25, label: "Okay" },
+];
+
+function scoreTolerance({ absoluteError, targetTime }) {
+    const band = TOLERANCE_BANDS.find(({ within }) => absoluteError <= within);
+
+    if (band) {
+        return {
+            score: band.score,
+            breakdown: [
+                { label: "Error", value: formatSeconds(absoluteError) },
+                { label: `${band.label} (within ±${band.within}ms)`, value: band.score },
+            ],
+        };
+    }
+
+    const score = Math.min(10, scoreLinear({ absoluteError, targetTime }).score);
+
+    return {
+        score,
+        breakdown: [
+            { label: "Error", value: formatSeconds(absoluteError) },
+            { label: `Missed every band (more than ±${TOLERANCE_BANDS[TOLERANCE_BANDS.length - 1].within}ms)`, value: score },
+        ],
+    };
+}
+
+// Longer target times are harder to estimate, so they are worth more: the multiplier grows with log2 of the target time
+export function getDifficultyMultiplier(targetTime) {
+    return Math.round((1 + Math.log2(Math.max(1, targetTime)) * 0.25) * 100) / 100;
+}
+
+function scoreDifficulty({ absoluteError, targetTime }) {
+    const { score: baseScore, breakdown } = scoreLinear({ absoluteError, targetTime });
+    const multiplier = getDifficultyMultiplier(targetTime);
+    const score = Math.round(baseScore * multiplier);
+
+    return {
+        score,
+        breakdown: [
+            ...breakdown,
+            { label: `Difficulty multiplier for ${targetTime}s`, value: `× ${multiplier}` },
+            { label: "Final score", value: score },
+        ],
+    };
+}
+
+export const SCORING_STRATEGIES = [
+    {
+        id: "linear",
+        label: "Linear",
+        description: "The classic formula - every millisecond of error costs the same.",
+        score: scoreLinear,
+    },
+    {
+        id: "exponential",
+        label: "Exponential",
+        description: "Small errors are cheap, big errors are punished hard.",
+        score: scoreExponential,
+    },
+    {
+        id: "tolerance",
+        label: "Tolerance bands",
+        description: "Perfect score within ±50ms, then fixed bands.",
+        score: scoreTolerance,
+    },
+    {
+        id: "difficulty",
+        label: "Difficulty bonus",
+        description: "Linear score multiplied by a bonus for longer target times.",
+        score: scoreDifficulty,
+    },
+];
+
+export const DEFAULT_SCORING = "linear";
+
+export function isKnownScoring(scoringId) {
+    return SCORING_STRATEGIES.some((strategy) => strategy.id === scoringId);
+}
+
+// Unknown ids fall back to the linear strategy (just like unknown game modes fall back to the classic mode)
+export function getScoringStrategy(scoringId) {
+    return (
+        SCORING_STRATEGIES.find((strategy) => strategy.id === scoringId) ??
+        SCORING_STRATEGIES.find((strategy) => strategy.id === DEFAULT_SCORING)
+    );
+}
+
+// If the timer ran out (or the remaining time is exactly zero), the round counts as lost
+export function didUserLose(remainingTime) {
+    return remainingTime <= 0;
+}
+
+/*
+    Scores a finished round depending on the game mode and the scoring strategy
+
+    - In the modes where the timer stops at the target time (classic, blind and training), any time that is left counts
+      against the player, and running out of time is a loss
+    - In the modes that allow overshooting (overshoot and reverse), stopping too early and stopping too late are both
+      errors, and an error as large as the target time itself is a loss
+
+    errorTime is the signed difference between the time the player stopped and the target (in milliseconds):
+    negative means too early, positive means too late
+*/
+export function scoreRound({ mode, targetTime, remainingTime, scoring = DEFAULT_SCORING }) {
+    const gameMode = getMode(mode);
+    const strategy = getScoringStrategy(scoring);
+    const errorTime = -remainingTime;
+    const absoluteError = Math.abs(errorTime);
+
+    const lost = gameMode.allowsOvershoot ? absoluteError >= targetTime * 1000 : didUserLose(remainingTime);
+    const method = gameMode.allowsOvershoot
+        ? "Stopping too early and too late both count - the score drops with the absolute error."
+        : "Every millisecond left on the timer costs points - letting it run out is a loss.";
+
+    if (lost) {
+        return {
+            score: 0,
+            lost,
+            errorTime,
+            method,
+            strategy,
+            breakdown: [{ label: gameMode.allowsOvershoot ? "Off by the whole target time or more" : "The timer ran out", value: 0 }],
+        };
+    }
+
+    const { score, breakdown } = strategy.score({ absoluteError, targetTime });
+
+    return { score, lost, errorTime, method, strategy, breakdown };
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+
+import { didUserLose, scoreRound } from "./scoring.js";
+
+describe("scoreRound", () => {
+    it("gives 0 points for an instant stop, without counting it as lost", () => {
+        // Stopping right after the start leaves the whole target time on the clock
+        const result = scoreRound({ mode: "classic", targetTime: 5, remainingTime: 5000 });
+
+        expect(result).toMatchObject({ score: 0, lost: false, errorTime: -5000 });
+    });
+
+    it("counts exactly zero remaining time as lost", () => {
+        expect(didUserLose(0)).toBe(true);
+        expect(scoreRound({ mode: "classic", targetTime: 5, remainingTime: 0 })).toMatchObject({ score: 0, lost: true });
+    });
+
+    it("gives full points for stopping one millisecond before the end", () => {
+        expect(scoreRound({ mode: "classic", targetTime: 5, remainingTime: 1 })).toMatchObject({ score: 100, lost: false });
+    });
+
+    it("counts an expired timer as lost", () => {
+        expect(scoreRound({ mode: "classic", targetTime: 1, remainingTime: -3 })).toMatchObject({ score: 0, lost: true });
+    });
+
+    it("treats stopping too early and too late the same in the overshoot mode", () => {
+        const early = scoreRound({ mode: "overshoot", targetTime: 2, remainingTime: 500 });
+        const late = scoreRound({ mode: "overshoot", targetTime: 2, remainingTime: -500 });
+
+        expect(early.score).toBe(75);
+        expect(late.score).toBe(75);
+        expect(late.errorTime).toBe(500);
+    });
+
+    it("counts an error as large as the target time as lost in the overshoot mode", () => {
+        expect(scoreRound({ mode: "overshoot", targetTime: 2, remainingTime: -2000 })).toMatchObject({ score: 0, lost: true });
+        expect(scoreRound({ mode: "overshoot", targetTime: 2, remainingTime: -1999 }).lost).toBe(false);
+    });
+
+    it("uses the scoring strategy for rounds that count", () => {
+        // 40ms off is within the perfect band, even though the linear score would be 99
+        expect(scoreRound({ mode: "classic", targetTime: 5, remainingTime: 40, scoring: "tolerance" }).score).toBe(100);
+        expect(scoreRound({ mode: "classic", targetTime: 5, remainingTime: 40 }).score).toBe(99);
+    });
+});
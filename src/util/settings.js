@@ -0,0 +1,40 @@
+import { DEFAULT_CUE_SETTINGS } from "./cues.js";
+import { loadFromStorage, saveToStorage } from "./storage.js";
+import { DEFAULT_THEME } from "./themes.js";
+
+export const SETTINGS_STORAGE_KEY = "almost-final-countdown.settings";
+
+/*
+    All app-wide preferences with their default values
+
+    - theme: one of the built-in themes, or "system" to follow the operating system (see util/themes.js)
+    - reducedMotion: "system" follows the prefers-reduced-motion media query, "reduce" always turns animations off
+      and "allow" always keeps them on
+    - cues: enabled flag and volume of every audio cue (see util/cues.js)
+    - haptics: whether cues may vibrate the device
+    - interruptions: what happens when the player switches tabs (or the window loses the focus) while a timer runs -
+      "void" ends the round without a score, "pause" stops the clock until the player resumes the timer
+*/
+export const DEFAULT_SETTINGS = {
+    theme: DEFAULT_THEME,
+    reducedMotion: "system",
+    cues: DEFAULT_CUE_SETTINGS,
+    haptics: true,
+    interruptions: "void",
+};
+
+// Stored settings are merged into the defaults, so settings that were added in a later version get their default value
+export function loadSettings() {
+    const storedSettings = loadFromStorage(SETTINGS_STORAGE_KEY, {});
+    const settings = typeof storedSettings === "object" && storedSettings !== null ? storedSettings : {};
+
+    return {
+        ...DEFAULT_SETTINGS,
+        ...settings,
+        cues: { ...DEFAULT_SETTINGS.cues, ...settings.cues },
+    };
+}
+
+export function saveSettings(settings) {
+    saveToStorage(SETTINGS_STORAGE_KEY, settings);
+}
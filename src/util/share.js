@@ -0,0 +1,138 @@
+import { MAX_TARGET_TIME, MAX_TITLE_LENGTH, MIN_TARGET_TIME } from "./catalog.js";
+import { isKnownMode } from "./modes.js";
+import { isKnownScoring } from "./scoring.js";
+
+/*
+    Shareable result links
+
+    The whole result is stored in the URL hash (#share=...), so a link works without any server and even offline:
+    the hash is never sent anywhere, the app simply reads it when it loads.
+
+    The result is JSON, encoded as base64url (base64 without the characters that have a special meaning in URLs).
+    btoa() only understands single-byte characters, so the JSON is UTF-8 encoded first (player names can contain emoji).
+*/
+const SHARE_HASH_PREFIX = "#share=";
+const SHARE_VERSION = 1;
+const MAX_NAME_LENGTH = 40;
+
+function toBase64Url(text) {
+    const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join("");
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+    return new TextDecoder().decode(Uint8Array.from(binary, (character) => character.charCodeAt(0)));
+}
+
+/*
+    Creates the link for a finished round
+
+    result: { challengeTitle, mode, scoring, targetTime, stopTime, playerName, score } where stopTime is the time
+    (in milliseconds) after which the player stopped the timer
+*/
+export function createShareLink(result, baseUrl = `${window.location.origin}${window.location.pathname}`) {
+    const payload = {
+        v: SHARE_VERSION,
+        t: result.challengeTitle,
+        m: result.mode,
+        s: result.scoring,
+        target: result.targetTime,
+        stop: Math.round(result.stopTime),
+        p: result.playerName,
+        score: result.score,
+    };
+
+    return `${baseUrl}${SHARE_HASH_PREFIX}${toBase64Url(JSON.stringify(payload))}`;
+}
+
+const isText = (value, maxLength) => typeof value === "string" && value.trim() !== "" && value.length <= maxLength;
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/*
+    Reads a shared result from a URL hash
+
+    Returns null if the hash is not a share link, or if the link was tampered with / cut off - the app then
+    just starts normally instead of showing a broken result card
+*/
+export function parseShareHash(hash) {
+    if (!hash?.startsWith(SHARE_HASH_PREFIX)) {
+        return null;
+    }
+
+    let payload;
+
+    try {
+        payload = JSON.parse(fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length)));
+    } catch {
+        return null;
+    }
+
+    const isValid =
+        payload?.v === SHARE_VERSION &&
+        isText(payload.t, MAX_TITLE_LENGTH) &&
+        isKnownMode(payload.m) &&
+        isKnownScoring(payload.s) &&
+        isNumber(payload.target) &&
+        payload.target >= MIN_TARGET_TIME &&
+        payload.target <= MAX_TARGET_TIME &&
+        isNumber(payload.stop) &&
+        payload.stop >= 0 &&
+        isText(payload.p, MAX_NAME_LENGTH) &&
+        isNumber(payload.score);
+
+    if (!isValid) {
+        return null;
+    }
+
+    return {
+        challengeTitle: payload.t,
+        mode: payload.m,
+        scoring: payload.s,
+        targetTime: payload.target,
+        stopTime: payload.stop,
+        playerName: payload.p,
+        score: payload.score,
+    };
+}
+
+// Removes the share hash from the address bar without reloading the page or adding a history entry
+export function clearShareHash() {
+    window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+}
+
+/*
+    Copies text to the clipboard
+
+    The Clipboard API only exists in secure contexts (https or localhost), so for plain http we fall back to the old
+    "select a hidden textarea and execCommand('copy')" trick. Resolves to true if copying worked.
+
+    NOTE: while a modal <dialog> is open, everything outside of it is inert (can't be selected), so the dialog
+          has to be passed in as the container in that case
+*/
+export async function copyToClipboard(text, container = document.body) {
+    if (navigator.clipboard?.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch {
+            // Permission denied - try the fallback below
+        }
+    }
+
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    container.append(textarea);
+    textarea.select();
+
+    try {
+        return document.execCommand("copy");
+    } catch {
+        return false;
+    } finally {
+        textarea.remove();
+    }
+}
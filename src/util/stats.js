@@ -0,0 +1,132 @@
+import { getChallengeVariant, getChallengeVariantKey } from "./history.js";
+
+/*
+    Statistics over the finished rounds
+
+    All errors are signed and in milliseconds: negative means the player stopped too early, positive too late
+*/
+export function getError(round) {
+    return -round.remainingTime;
+}
+
+// The distinct target times of all rounds, from short to long
+export function getTargetTimes(rounds) {
+    return [...new Set(rounds.map((round) => round.targetTime))].sort((a, b) => a - b);
+}
+
+/*
+    Splits the values into binCount bins of the same width
+
+    Returns [{ from, to, count }] - the last bin also includes its upper bound, so the maximum value is counted as well
+*/
+export function createHistogram(values, binCount = 10) {
+    if (values.length === 0) {
+        return [];
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    // If all values are the same, we still need a range to draw
+    const binWidth = max === min ? 1 : (max - min) / binCount;
+    const bins = Array.from({ length: binCount }, (_, index) => ({ from: min + index * binWidth, to: min + (index + 1) * binWidth, count: 0 }));
+
+    for (const value of values) {
+        const index = Math.min(binCount - 1, Math.floor((value - min) / binWidth));
+        bins[index].count++;
+    }
+
+    return bins;
+}
+
+/*
+    The absolute error of every round in chronological order, together with a moving average over the last
+    `window` rounds, which makes the improvement trend visible even though single rounds jump around a lot
+*/
+export function getTrend(rounds, window = 5) {
+    const sortedRounds = [...rounds].sort((a, b) => a.timestamp - b.timestamp);
+    const absoluteErrors = sortedRounds.map((round) => Math.abs(getError(round)));
+
+    return sortedRounds.map((round, index) => {
+        const recentErrors = absoluteErrors.slice(Math.max(0, index - window + 1), index + 1);
+
+        return {
+            timestamp: round.timestamp,
+            absoluteError: absoluteErrors[index],
+            movingAverage: recentErrors.reduce((sum, error) => sum + error, 0) / recentErrors.length,
+        };
+    });
+}
+
+// How the errors lean: the mean signed error and the share of rounds that were stopped too early
+export function getBias(rounds) {
+    if (rounds.length === 0) {
+        return { meanError: 0, earlyShare: 0, lateShare: 0 };
+    }
+
+    const errors = rounds.map(getError);
+    const earlyCount = errors.filter((error) => error < 0).length;
+    const lateCount = errors.filter((error) => error > 0).length;
+
+    return {
+        meanError: errors.reduce((sum, error) => sum + error, 0) / errors.length,
+        earlyShare: earlyCount / errors.length,
+        lateShare: lateCount / errors.length,
+    };
+}
+
+// The percentage of values that are lower than or equal to the given value (100 means nobody did better)
+export function getPercentileRank(value, values) {
+    if (values.length === 0) {
+        return 0;
+    }
+
+    return Math.round((values.filter((otherValue) => otherValue <= value).length / values.length) * 100);
+}
+
+/*
+    One row per player and challenge variant: how many rounds they played, their mean absolute error, their best score
+    and where that best score ranks among the scores of ALL rounds of the same variant
+
+    Scores are only comparable within a challenge variant (see getChallengeVariant) - e.g. the difficulty bonus scores
+    go far beyond 100, so comparing them with linear scores would push everybody else down. The rows are grouped by
+    variant and sorted by best score within every variant.
+*/
+export function getPlayerRanks(rounds) {
+    const variantScores = new Map();
+    const groups = new Map();
+
+    for (const round of rounds) {
+        const variantKey = getChallengeVariantKey(round);
+        const playerKey = round.playerId ?? round.playerName;
+        const key = `${playerKey}\u0000${variantKey}`;
+
+        if (!variantScores.has(variantKey)) {
+            variantScores.set(variantKey, []);
+        }
+
+        variantScores.get(variantKey).push(round.score);
+
+        if (!groups.has(key)) {
+            groups.set(key, { key, playerKey, variantKey, playerName: round.playerName, ...getChallengeVariant(round), rounds: [] });
+        }
+
+        // The most recent name wins, so renamed players show up with their current name
+        groups.get(key).playerName = round.playerName;
+        groups.get(key).rounds.push(round);
+    }
+
+    return [...groups.values()]
+        .map(({ rounds: playerRounds, ...group }) => {
+            const bestScore = Math.max(...playerRounds.map((round) => round.score));
+
+            return {
+                ...group,
+                played: playerRounds.length,
+                meanAbsoluteError: playerRounds.reduce((sum, round) => sum + Math.abs(getError(round)), 0) / playerRounds.length,
+                bestScore,
+                percentile: getPercentileRank(bestScore, variantScores.get(group.variantKey)),
+            };
+        })
+        .sort((a, b) => a.variantKey.localeCompare(b.variantKey) || b.bestScore - a.bestScore);
+}
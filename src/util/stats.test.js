@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+
+import { getPlayerRanks } from "./stats.js";
+
+const createRound = (playerName, score, scoring) => ({
+    playerId: playerName,
+    playerName,
+    challengeTitle: "Pros only",
+    targetTime: 15,
+    mode: "classic",
+    scoring,
+    remainingTime: 1000,
+    score,
+});
+
+describe("getPlayerRanks", () => {
+    it("only ranks scores against scores of the same challenge variant", () => {
+        const ranks = getPlayerRanks([
+            createRound("Ada", 90, "linear"),
+            createRound("Grace", 80, "linear"),
+            createRound("Linus", 180, "difficulty"),
+        ]);
+
+        expect(ranks.map(({ playerName, scoring, percentile }) => [playerName, scoring, percentile])).toEqual([
+            ["Linus", "difficulty", 100],
+            ["Ada", "linear", 100],
+            ["Grace", "linear", 50],
+        ]);
+    });
+
+    it("gives a player a row for every variant they played", () => {
+        const ranks = getPlayerRanks([
+            createRound("Ada", 90, "linear"),
+            createRound("Ada", 150, "difficulty"),
+            createRound("Ada", 70, "linear"),
+        ]);
+
+        expect(ranks).toHaveLength(2);
+        expect(ranks.find((row) => row.scoring === "linear")).toMatchObject({ played: 2, bestScore: 90, percentile: 100 });
+    });
+});
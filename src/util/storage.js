@@ -0,0 +1,49 @@
+/*
+    Small helpers around localStorage
+
+    localStorage only stores strings, so we (de)serialize everything as JSON. Reading or writing can throw
+    (private browsing, storage quota exceeded, corrupted values...) and a broken storage should never break the game,
+    so we fall back to a default value instead of crashing.
+*/
+export function loadFromStorage(key, fallback) {
+    try {
+        const storedValue = localStorage.getItem(key);
+        return storedValue === null ? fallback : JSON.parse(storedValue);
+    } catch {
+        return fallback;
+    }
+}
+
+export function saveToStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Storage is full or unavailable - the data simply won't survive a reload
+    }
+}
+
+export function removeFromStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch {
+        // Nothing to clean up if storage is unavailable
+    }
+}
+
+/*
+    Asks the browser to never evict our storage on its own (browsers may clear the data of sites that weren't visited
+    for a while, or when the device runs low on space). An installed app usually gets this permission without a prompt.
+
+    Resolves to true if the storage is persistent
+*/
+export async function requestPersistentStorage() {
+    try {
+        if (!navigator.storage?.persist) {
+            return false;
+        }
+
+        return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,31 @@
+/*
+    The built-in themes (their colors are defined as CSS custom properties in index.css)
+
+    "system" isn't a theme of its own: it picks the high-contrast theme if the operating system asks for more contrast,
+    and otherwise the light or the dark theme depending on the color scheme preference
+*/
+export const THEMES = [
+    { id: "system", label: "Follow system setting" },
+    { id: "dark", label: "Dark" },
+    { id: "light", label: "Light" },
+    { id: "high-contrast", label: "High contrast" },
+];
+
+export const DEFAULT_THEME = "system";
+
+export function isKnownTheme(themeId) {
+    return THEMES.some((theme) => theme.id === themeId);
+}
+
+// Turns the theme setting into the theme that is actually shown (unknown themes fall back to the system setting)
+export function resolveTheme(themeId, { prefersLight = false, prefersMoreContrast = false } = {}) {
+    if (isKnownTheme(themeId) && themeId !== "system") {
+        return themeId;
+    }
+
+    if (prefersMoreContrast) {
+        return "high-contrast";
+    }
+
+    return prefersLight ? "light" : "dark";
+}
@@ -0,0 +1,99 @@
+/*
+    The timing engine
+
+    Counting setInterval ticks (e.g. "subtract 10ms every tick") is NOT a reliable way to measure time! When the tab is
+    throttled or the main thread is busy, ticks arrive late (or get skipped) and the measured time drifts.
+
+    Instead, we remember WHEN the timer started and ask a clock for the current time whenever we need to know how
+    much time elapsed. Intervals are then only used to refresh the UI, never to measure anything.
+
+    A clock is any object with a now() method that returns milliseconds. In the browser we use performance.now(),
+    which is monotonic (it never jumps when the system time changes) and has sub-millisecond resolution.
+    Tests can inject a manual clock instead and move time forward themselves.
+*/
+export const systemClock = {
+    now: () => performance.now(),
+};
+
+// A clock that only moves when you tell it to - meant for unit tests
+export function createManualClock(startTime = 0) {
+    let currentTime = startTime;
+
+    return {
+        now: () => currentTime,
+        advance(milliseconds) {
+            currentTime += milliseconds;
+            return currentTime;
+        },
+        set(time) {
+            currentTime = time;
+        },
+    };
+}
+
+/*
+    A stopwatch measures the exact elapsed time between start() and stop()
+
+    While it runs, elapsed() returns the time elapsed so far. After stop() it keeps returning the time that was
+    measured at the moment of the stop, until the stopwatch is started again or reset.
+
+    pause() freezes the elapsed time and resume() continues from there - the time in between simply doesn't count.
+*/
+export function createStopwatch(clock = systemClock) {
+    let startedAt = null;
+    let stoppedAt = null;
+    let pausedAt = null;
+
+    // The total time the stopwatch spent paused (since the last start)
+    let pausedDuration = 0;
+
+    const elapsed = () => {
+        if (startedAt === null) {
+            return 0;
+        }
+
+        return (stoppedAt ?? pausedAt ?? clock.now()) - startedAt - pausedDuration;
+    };
+
+    const isRunning = () => startedAt !== null && stoppedAt === null && pausedAt === null;
+
+    return {
+        start() {
+            startedAt = clock.now();
+            stoppedAt = null;
+            pausedAt = null;
+            pausedDuration = 0;
+        },
+        stop() {
+            if (startedAt !== null && stoppedAt === null) {
+                // Stopping a paused stopwatch keeps the time measured up to the pause
+                stoppedAt = pausedAt ?? clock.now();
+                pausedAt = null;
+            }
+
+            return elapsed();
+        },
+        pause() {
+            if (isRunning()) {
+                pausedAt = clock.now();
+            }
+
+            return elapsed();
+        },
+        resume() {
+            if (pausedAt !== null) {
+                pausedDuration += clock.now() - pausedAt;
+                pausedAt = null;
+            }
+        },
+        reset() {
+            startedAt = null;
+            stoppedAt = null;
+            pausedAt = null;
+            pausedDuration = 0;
+        },
+        elapsed,
+        isRunning,
+        isPaused: () => pausedAt !== null,
+    };
+}
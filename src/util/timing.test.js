@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+
+import { createManualClock, createStopwatch } from "./timing.js";
+
+describe("createStopwatch", () => {
+    it("measures the exact time between start and stop", () => {
+        const clock = createManualClock(1000);
+        const stopwatch = createStopwatch(clock);
+
+        stopwatch.start();
+        clock.advance(1234.5);
+
+        expect(stopwatch.elapsed()).toBe(1234.5);
+        expect(stopwatch.stop()).toBe(1234.5);
+
+        // After the stop, the measured time is frozen
+        clock.advance(500);
+        expect(stopwatch.elapsed()).toBe(1234.5);
+    });
+
+    it("doesn't count the time it was paused", () => {
+        const clock = createManualClock();
+        const stopwatch = createStopwatch(clock);
+
+        stopwatch.start();
+        clock.advance(300);
+        expect(stopwatch.pause()).toBe(300);
+
+        clock.advance(10000);
+        expect(stopwatch.elapsed()).toBe(300);
+
+        stopwatch.resume();
+        clock.advance(200);
+        expect(stopwatch.stop()).toBe(500);
+    });
+
+    it("keeps the time measured up to the pause when a paused stopwatch is stopped", () => {
+        const clock = createManualClock();
+        const stopwatch = createStopwatch(clock);
+
+        stopwatch.start();
+        clock.advance(300);
+        stopwatch.pause();
+        clock.advance(700);
+
+        expect(stopwatch.stop()).toBe(300);
+    });
+
+    it("starts from zero again after a reset", () => {
+        const clock = createManualClock();
+        const stopwatch = createStopwatch(clock);
+
+        stopwatch.start();
+        clock.advance(300);
+        stopwatch.reset();
+
+        expect(stopwatch.elapsed()).toBe(0);
+        expect(stopwatch.isRunning()).toBe(false);
+    });
+});
@@ -0,0 +1,93 @@
+import { DEFAULT_SCORING, scoreRound } from "./scoring.js";
+
+export const DEFAULT_TOURNAMENT_ROUNDS = 5;
+export const MAX_TOURNAMENT_ROUNDS = 20;
+
+// The tournament walks through the catalog in order and starts over once every challenge was played
+export function createTournamentPlan(challenges, roundCount = DEFAULT_TOURNAMENT_ROUNDS) {
+    if (challenges.length === 0) {
+        return [];
+    }
+
+    return Array.from({ length: roundCount }, (_, index) => challenges[index % challenges.length]);
+}
+
+// From best to worst, the first grade whose minimum average score is reached wins
+const GRADES = [
+    { grade: "S", minimumScore: 95 },
+    { grade: "A", minimumScore: 85 },
+    { grade: "B", minimumScore: 70 },
+    { grade: "C", minimumScore: 50 },
+    { grade: "D", minimumScore: 30 },
+    { grade: "F", minimumScore: -Infinity },
+];
+
+export function getGrade(averageScore) {
+    return GRADES.find(({ minimumScore }) => averageScore >= minimumScore).grade;
+}
+
+/*
+    The score a round would have had with the linear strategy - the grade is based on it
+
+    The strategies score the same error very differently (the difficulty bonus goes far beyond 100), so the grade of a
+    tournament that is played with a generous strategy would say nothing about how well the player actually did
+*/
+function getGradedScore(round) {
+    if (round.voided) {
+        return 0;
+    }
+
+    const { mode, targetTime, remainingTime } = round;
+    return scoreRound({ mode, targetTime, remainingTime, scoring: DEFAULT_SCORING }).score;
+}
+
+// The mean of a list of numbers (0 for an empty list, e.g. when every round of the tournament was voided)
+function getMean(values) {
+    return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/*
+    Calculates the aggregate results of a finished tournament
+
+    Every round's error is the signed difference between the stop time and the target time (negative means too early).
+    - meanAbsoluteError: how far off the player was on average, no matter in which direction
+    - standardDeviation: how consistent the player was - a small value means the errors were all about the same
+      (a player who is always 200ms early is very consistent, even though they are never spot on)
+
+    The grade is based on the average linear score (gradedScore), no matter which scoring strategies were used.
+    All times are in milliseconds. A voided round scores 0 (so leaving the game never helps) but has no error
+    (errorTime is null), because the player never really stopped the timer - it's left out of the error statistics.
+*/
+export function summarizeTournament(rounds) {
+    const count = rounds.length;
+
+    if (count === 0) {
+        return {
+            rounds: [],
+            totalScore: 0,
+            averageScore: 0,
+            gradedScore: 0,
+            meanAbsoluteError: 0,
+            standardDeviation: 0,
+            grade: getGrade(0),
+        };
+    }
+
+    const errors = rounds.filter((round) => !round.voided).map((round) => -round.remainingTime);
+    const totalScore = rounds.reduce((sum, round) => sum + round.score, 0);
+    const averageScore = totalScore / count;
+    const gradedScore = getMean(rounds.map(getGradedScore));
+    const meanError = getMean(errors);
+    const meanAbsoluteError = getMean(errors.map(Math.abs));
+    const standardDeviation = Math.sqrt(getMean(errors.map((error) => (error - meanError) ** 2)));
+
+    return {
+        rounds: rounds.map((round) => ({ ...round, errorTime: round.voided ? null : -round.remainingTime })),
+        totalScore,
+        averageScore,
+        gradedScore,
+        meanAbsoluteError,
+        standardDeviation,
+        grade: getGrade(gradedScore),
+    };
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+
+import { summarizeTournament } from "./tournament.js";
+
+const createRound = (remainingTime, score, scoring = "linear") => ({
+    id: `${remainingTime}-${scoring}`,
+    mode: "classic",
+    scoring,
+    targetTime: 15,
+    remainingTime,
+    score,
+    voided: false,
+});
+
+describe("summarizeTournament", () => {
+    it("grades the linear score, no matter which scoring strategy was used", () => {
+        // Stopped halfway through a 15 second challenge - the difficulty bonus turns the linear 50 into 99
+        const summary = summarizeTournament([createRound(7500, 99, "difficulty")]);
+
+        expect(summary.averageScore).toBe(99);
+        expect(summary.gradedScore).toBe(50);
+        expect(summary.grade).toBe("C");
+    });
+
+    it("grades a voided round as 0 and leaves it out of the error statistics", () => {
+        const summary = summarizeTournament([createRound(0.5, 100), { ...createRound(100, 0), voided: true }]);
+
+        expect(summary.gradedScore).toBe(50);
+        expect(summary.meanAbsoluteError).toBe(0.5);
+        expect(summary.rounds[1].errorTime).toBeNull();
+    });
+});
@@ -0,0 +1,43 @@
+/*
+    The adaptive countdown of the training mode
+
+    In the training mode the remaining time is visible at the start of a run and then fades out. How long it stays
+    visible depends on how accurate the player was in their recent rounds with the same target time:
+    large errors reveal more of the countdown, small errors reveal less, so the help fades out as the player improves.
+*/
+export const RECENT_ROUND_COUNT = 5;
+
+// A relative error of 25% (or more) reveals the whole run, smaller errors reveal proportionally less
+const FULL_REVEAL_ERROR = 0.25;
+
+// Even a perfect player sees the countdown for the first 10% of the run, so the mode never turns into the blind mode
+export const MIN_REVEAL_FRACTION = 0.1;
+
+/*
+    The relative errors (0 = spot on, 1 = off by the whole target time) of the player's most recent rounds with this target
+
+    A lost round counts as the maximum error, because we don't know how far off the player would have been
+*/
+export function getRecentErrors(rounds, { playerId, playerName, targetTime }, count = RECENT_ROUND_COUNT) {
+    return rounds
+        .filter((round) => (playerId && round.playerId ? round.playerId === playerId : round.playerName === playerName))
+        .filter((round) => round.targetTime === targetTime)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-count)
+        .map((round) => (round.won ? Math.min(1, Math.abs(round.remainingTime) / (round.targetTime * 1000)) : 1));
+}
+
+// Which part of the run (0 to 1) the countdown is visible - without any history, the whole run is revealed
+export function getRevealFraction(recentErrors) {
+    if (recentErrors.length === 0) {
+        return 1;
+    }
+
+    const meanError = recentErrors.reduce((sum, error) => sum + error, 0) / recentErrors.length;
+    return Math.min(1, Math.max(MIN_REVEAL_FRACTION, meanError / FULL_REVEAL_ERROR));
+}
+
+// The countdown fades out linearly: fully visible at the start and invisible once the reveal fraction of the run passed
+export function getCountdownOpacity(elapsedFraction, revealFraction) {
+    return Math.min(1, Math.max(0, 1 - elapsedFraction / revealFraction));
+}
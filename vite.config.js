@@ -1,7 +1,36 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Makes the app installable and playable offline: the service worker precaches the whole build (including the fonts)
+    VitePWA({
+      // A new build is only activated after the player agreed (see UpdatePrompt.jsx), never in the middle of a round
+      registerType: 'prompt',
+      includeAssets: ['icon.svg'],
+      manifest: {
+        name: 'The Almost Final Countdown',
+        short_name: 'Countdown',
+        description: 'Stop the timer once you estimate that time is (almost) up',
+        theme_color: '#053339',
+        background_color: '#021619',
+        display: 'standalone',
+        icons: [
+          { src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+          { src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,woff2}'],
+      },
+    }),
+  ],
+  // The component tests (npm test) run in jsdom, a simulated browser - see src/test/setup.js
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
 })